@@ -1,22 +1,91 @@
 require("dotenv").config();
 const express = require("express");
-const puppeteer = require("puppeteer");
 const path = require("path");
+const crypto = require("crypto");
 const { exec } = require("child_process");
 const line = require("@line/bot-sdk");
 const FirebaseService = require("./services/firebase");
 const NotificationManager = require("./services/notifications/NotificationManager");
+const {
+  parseHostList,
+  isPublicWebhookUrl,
+} = require("./services/notifications/webhookUrl");
+const PuppeteerScraper = require("./services/scrapers/PuppeteerScraper");
+const HttpScraper = require("./services/scrapers/HttpScraper");
+const ScrapeHealthMonitor = require("./services/ScrapeHealthMonitor");
+const RuleAlertPolicy = require("./services/RuleAlertPolicy");
+const { buildPriceHistory, scoreDeals } = require("./services/dealScoring");
+const { buildProductLifecycle } = require("./services/productLifecycle");
+const MarketAnalytics = require("./services/MarketAnalytics");
+const {
+  parseWatchTarget,
+  toWatchState,
+  evaluateWatch,
+  indexProducts,
+} = require("./services/productWatch");
+const {
+  DEFAULT_REGION,
+  CATEGORIES,
+  COLOR_NAMES,
+  getRegion,
+  getCategoryUrl,
+  getRuleRegions,
+} = require("./services/regions");
+const {
+  evaluateExpression,
+  validateExpression,
+  formatExpression,
+} = require("./services/ruleExpression");
+const {
+  extractPartNumber,
+  getProductKey,
+  getProductId,
+} = require("./services/productIdentity");
+
+// 商品資訊變更通知中顯示的欄位名稱
+const LISTING_FIELD_NAMES = {
+  name: "名稱",
+  chip: "晶片",
+  memory: "記憶體",
+  storage: "儲存空間",
+  color: "顏色",
+  screenSize: "尺寸",
+};
+
+// Telegram 帳號連結代碼的有效時間與字元（排除容易混淆的 0/O、1/I）
+const TELEGRAM_LINK_CODE_TTL_MS = 10 * 60 * 1000;
+const TELEGRAM_LINK_CODE_CHARS = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+// LINE 與 Telegram 都只開放給 ADMIN_LINE_USER_IDS 的指令
+const ADMIN_COMMANDS = ["/start", "/stop", "/test-summary", "/force-summary"];
+
+// 產品通知每則訊息最多的產品數
+const PRODUCTS_PER_MESSAGE = 10;
+
+// 規則優先順序：high 優先發送、low 併入每日摘要
+const RULE_PRIORITIES = ["high", "normal", "low"];
+
+// 市場統計尚未建立時，價值評分讀取的快照天數；以及歷史價格的快取時間
+const DEAL_HISTORY_DAYS = 90;
+const DEAL_HISTORY_TTL_MS = 6 * 60 * 60 * 1000;
 
 class AppleTracker {
   constructor() {
     this.app = express();
     this.port = process.env.PORT || 3000;
-    this.browser = null;
+    this.scrapers = {}; // 讀取設定後於 init() 建立
     this.config = { lineConfig: {} };
     this.isTracking = false;
     this.trackingInterval = null;
+    this.trackedRegions = [DEFAULT_REGION]; // 最近一次追蹤時爬取的地區
     this.firebaseService = new FirebaseService();
     this.notificationManager = new NotificationManager();
+    this.scrapeHealthMonitor = new ScrapeHealthMonitor(this.firebaseService);
+    this.ruleAlertPolicy = new RuleAlertPolicy();
+    this.dealHistoryCache = null;
+    this.marketAnalytics = new MarketAnalytics(this.firebaseService, {
+      normalizeProduct: (product) => this.toScoringProduct(product),
+    });
 
     this.setupServer();
   }
@@ -44,6 +113,15 @@ class AppleTracker {
       });
     });
 
+    // 瀏覽器訂閱推播時需要的 VAPID 公鑰，未設定時為 null
+    this.app.get("/api/push-config", (req, res) => {
+      res.json({
+        publicKey: this.notificationManager.isProviderActive("webpush")
+          ? this.notificationManager.getProvider("webpush").getPublicKey()
+          : null,
+      });
+    });
+
     // LINE Login 設定端點
     this.app.get("/api/line-login-config", (req, res) => {
       res.json({
@@ -154,13 +232,39 @@ class AppleTracker {
           return res.json({ trackingRules: [], summarySettings: {} });
         }
 
-        const [rules, user] = await Promise.all([
+        const [rules, user, watches] = await Promise.all([
           this.firebaseService.getUserTrackingRules(userId),
-          this.firebaseService.getOrCreateUser(userId)
+          this.firebaseService.getOrCreateUser(userId),
+          this.firebaseService.getUserWatches(userId)
         ]);
         
+        const ruleStatuses = {};
+        for (const rule of rules) {
+          ruleStatuses[rule.id] = {
+            ...this.ruleAlertPolicy.getStatus(rule),
+            text: this.ruleAlertPolicy.formatStatus(rule)
+          };
+        }
+
         res.json({ 
           trackingRules: rules,
+          ruleStatuses,
+          notificationChannels: this.notificationManager.getActiveProviderNames(),
+          notificationTargets: {
+            discordWebhookUrl: user.discordWebhookUrl || "",
+            telegramLinked: !!user.telegramChatId,
+            slackTarget: user.slackTarget || "",
+            webhookUrl: user.webhookUrl || "",
+            selfHostedPush: user.selfHostedPush || null,
+            // 密鑰只在產生或重新產生時回傳一次，讀取設定時只告知是否已設定
+            webhookSecretSet: !!user.webhookSecret,
+            pushDevices: (user.pushSubscriptions || []).map(({ id, label, createdAt }) => ({
+              id,
+              label,
+              createdAt,
+            })),
+          },
+          watches,
           summarySettings: user.summarySettings || {}
         });
       } catch (error) {
@@ -187,6 +291,40 @@ class AppleTracker {
 
         // 處理追蹤規則
         if (trackingRules && Array.isArray(trackingRules)) {
+          for (const rule of trackingRules) {
+            const expression = rule.filters?.expression;
+            const error = expression ? validateExpression(expression) : null;
+            if (error) {
+              return res
+                .status(400)
+                .json({ error: `規則「${rule.name}」的條件格式錯誤: ${error}` });
+            }
+            if (rule.priority && !RULE_PRIORITIES.includes(rule.priority)) {
+              return res
+                .status(400)
+                .json({ error: `規則「${rule.name}」的優先順序無效: ${rule.priority}` });
+            }
+            if (
+              rule.channels !== undefined &&
+              (!Array.isArray(rule.channels) ||
+                rule.channels.some((channel) => typeof channel !== "string"))
+            ) {
+              return res
+                .status(400)
+                .json({ error: `規則「${rule.name}」的通知管道格式錯誤` });
+            }
+            if (
+              rule.slackTarget &&
+              !this.notificationManager
+                .getProvider("slack")
+                .isValidTarget(rule.slackTarget)
+            ) {
+              return res
+                .status(400)
+                .json({ error: `規則「${rule.name}」的 Slack webhook 網址錯誤或頻道未開放` });
+            }
+          }
+
           const existingRules = await this.firebaseService.getUserTrackingRules(
             userId
           );
@@ -199,8 +337,8 @@ class AppleTracker {
             }
           }
 
-          // 新增或更新規則
-          for (const rule of trackingRules) {
+          // 新增或更新規則，通知狀態（alertState）只由系統更新
+          for (const { alertState, ...rule } of trackingRules) {
             if (existingRuleIds.has(rule.id)) {
               await this.firebaseService.updateTrackingRule(
                 userId,
@@ -222,6 +360,29 @@ class AppleTracker {
       }
     });
 
+    // 以草稿規則比對目前庫存與過去的每日快照，不會儲存規則
+    this.app.post("/api/users/:userId/rules/preview", async (req, res) => {
+      try {
+        const { filters } = req.body;
+        if (!filters || typeof filters !== "object") {
+          return res.status(400).json({ error: "缺少 filters" });
+        }
+
+        const error = filters.expression
+          ? validateExpression(filters.expression)
+          : null;
+        if (error) {
+          return res.status(400).json({ error: `條件格式錯誤: ${error}` });
+        }
+
+        const days = Math.min(parseInt(req.query.days) || 30, 90);
+        res.json(await this.previewRule(filters, days));
+      } catch (error) {
+        console.error("規則預覽錯誤:", error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
     // 刪除單一追蹤規則
     this.app.delete("/api/users/:userId/rules/:ruleId", async (req, res) => {
       try {
@@ -238,6 +399,289 @@ class AppleTracker {
       }
     });
 
+    // 各通知方式的用戶聯絡資訊：Discord webhook 網址、Slack webhook 網址或頻道、
+    // 自訂 webhook 網址（空字串表示移除）與自架推播設定（null 表示移除）
+    this.app.post("/api/users/:userId/notification-targets", async (req, res) => {
+      try {
+        const { userId } = req.params;
+        const { discordWebhookUrl, slackTarget, webhookUrl, selfHostedPush } = req.body;
+
+        if (!this.firebaseService.initialized) {
+          return res.status(503).json({ error: "Firebase 未連接" });
+        }
+
+        const user = await this.firebaseService.getOrCreateUser(userId);
+
+        if (discordWebhookUrl !== undefined) {
+          const url = String(discordWebhookUrl || "").trim();
+          const discord = this.notificationManager.getProvider("discord");
+          if (url && !discord.isValidWebhookUrl(url)) {
+            return res
+              .status(400)
+              .json({ error: "Discord webhook 網址格式錯誤" });
+          }
+          await this.firebaseService.updateUserDiscordWebhook(userId, url || null);
+        }
+
+        if (slackTarget !== undefined) {
+          const target = String(slackTarget || "").trim();
+          const slack = this.notificationManager.getProvider("slack");
+          if (target && !slack.isValidTarget(target)) {
+            return res
+              .status(400)
+              .json({ error: "Slack webhook 網址錯誤或頻道未開放" });
+          }
+          await this.firebaseService.updateUserSlackTarget(userId, target || null);
+        }
+
+        if (selfHostedPush !== undefined) {
+          const target = selfHostedPush && {
+            service: selfHostedPush.service,
+            serverUrl: String(selfHostedPush.serverUrl || "").trim(),
+            topic: String(selfHostedPush.topic || "").trim() || null,
+            token: String(selfHostedPush.token || "").trim() || null,
+          };
+          const error =
+            target &&
+            this.notificationManager.getProvider("selfhosted").validateTarget(target);
+          if (error) {
+            return res.status(400).json({ error });
+          }
+          await this.firebaseService.updateUserSelfHostedPush(userId, target || null);
+        }
+
+        // 第一次設定自訂 webhook 時產生簽章密鑰，只在這次的回應中回傳
+        let webhookSecret = user.webhookSecret || null;
+        let createdWebhookSecret = null;
+        if (webhookUrl !== undefined) {
+          const url = String(webhookUrl || "").trim();
+          const webhook = this.notificationManager.getProvider("webhook");
+          if (url && !webhook.isValidWebhookUrl(url)) {
+            return res
+              .status(400)
+              .json({ error: "Webhook 網址必須是公開的 https 網址" });
+          }
+          if (url && !webhookSecret) {
+            webhookSecret = createdWebhookSecret = this.createWebhookSecret();
+          }
+          await this.firebaseService.updateUserWebhook(userId, {
+            webhookUrl: url || null,
+            webhookSecret,
+          });
+        }
+
+        res.json({
+          success: true,
+          message: "通知設定已儲存",
+          ...(createdWebhookSecret && { webhookSecret: createdWebhookSecret }),
+        });
+      } catch (error) {
+        console.error("儲存通知設定錯誤:", error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // 只發送到指定的通知方式，確認設定是否正確
+    this.app.post("/api/users/:userId/notification-targets/test", async (req, res) => {
+      try {
+        const { userId } = req.params;
+        const { channel } = req.body;
+
+        if (!this.firebaseService.initialized) {
+          return res.status(503).json({ error: "Firebase 未連接" });
+        }
+        if (!this.notificationManager.isProviderActive(channel)) {
+          return res.status(400).json({ error: `未啟用的通知方式: ${channel}` });
+        }
+
+        const user = await this.firebaseService.getOrCreateUser(userId);
+        const results = await this.notificationManager.sendNotification(
+          user,
+          "🧪 測試通知\n✅ 通知設定正確！",
+          // 自訂 webhook 會收到 ping 事件
+          { channels: [channel], event: "ping" }
+        );
+        const result = results[0];
+        if (!result) {
+          return res.status(400).json({ error: "尚未設定此通知方式" });
+        }
+
+        res.json(result);
+      } catch (error) {
+        console.error("測試通知錯誤:", error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // 儲存此裝置的瀏覽器推播訂閱（PushSubscription.toJSON() 的內容）
+    this.app.post("/api/users/:userId/push-subscriptions", async (req, res) => {
+      try {
+        const { userId } = req.params;
+        const { subscription, label } = req.body;
+
+        if (!this.firebaseService.initialized) {
+          return res.status(503).json({ error: "Firebase 未連接" });
+        }
+        if (!this.notificationManager.isProviderActive("webpush")) {
+          return res.status(400).json({ error: "伺服器未啟用 Web Push" });
+        }
+        if (
+          !subscription ||
+          !isPublicWebhookUrl(subscription.endpoint) ||
+          typeof subscription.keys?.p256dh !== "string" ||
+          typeof subscription.keys?.auth !== "string"
+        ) {
+          return res.status(400).json({ error: "推播訂閱格式錯誤" });
+        }
+
+        await this.firebaseService.getOrCreateUser(userId);
+        const id = crypto
+          .createHash("sha256")
+          .update(subscription.endpoint)
+          .digest("hex")
+          .slice(0, 16);
+        await this.firebaseService.savePushSubscription(userId, {
+          id,
+          endpoint: subscription.endpoint,
+          keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+          label: String(label || "瀏覽器").slice(0, 100),
+          createdAt: new Date().toISOString(),
+        });
+        res.json({ success: true, id });
+      } catch (error) {
+        console.error("儲存推播訂閱錯誤:", error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.delete("/api/users/:userId/push-subscriptions/:subscriptionId", async (req, res) => {
+      try {
+        if (!this.firebaseService.initialized) {
+          return res.status(503).json({ error: "Firebase 未連接" });
+        }
+
+        await this.firebaseService.removePushSubscription(
+          req.params.userId,
+          req.params.subscriptionId
+        );
+        res.json({ success: true, message: "已移除裝置" });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // 重新產生自訂 webhook 的簽章密鑰，舊密鑰立即失效
+    this.app.post("/api/users/:userId/webhook/secret", async (req, res) => {
+      try {
+        const { userId } = req.params;
+
+        if (!this.firebaseService.initialized) {
+          return res.status(503).json({ error: "Firebase 未連接" });
+        }
+
+        const user = await this.firebaseService.getOrCreateUser(userId);
+        const webhookSecret = this.createWebhookSecret();
+        await this.firebaseService.updateUserWebhook(userId, {
+          webhookUrl: user.webhookUrl || null,
+          webhookSecret,
+        });
+        res.json({ success: true, webhookSecret });
+      } catch (error) {
+        console.error("重新產生 webhook 密鑰錯誤:", error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // 自訂 webhook 的發送記錄（含每次重試），?failed=true 只列出失敗的事件
+    this.app.get("/api/users/:userId/webhook/deliveries", async (req, res) => {
+      try {
+        if (!this.firebaseService.initialized) {
+          return res.status(503).json({ error: "Firebase 未連接" });
+        }
+
+        const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+        const deliveries = await this.firebaseService.getWebhookDeliveries(
+          req.params.userId,
+          { limit, failedOnly: req.query.failed === "true" }
+        );
+        res.json({ deliveries });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // 產生一次性的 Telegram 連結代碼，用戶傳給 bot 後完成連結
+    this.app.post("/api/users/:userId/telegram/link-code", async (req, res) => {
+      try {
+        const { userId } = req.params;
+
+        if (!this.firebaseService.initialized) {
+          return res.status(503).json({ error: "Firebase 未連接" });
+        }
+        if (!this.notificationManager.isProviderActive("telegram")) {
+          return res.status(400).json({ error: "Telegram 通知未啟用" });
+        }
+
+        await this.firebaseService.getOrCreateUser(userId);
+        res.json(await this.createTelegramLinkCode(userId));
+      } catch (error) {
+        console.error("產生 Telegram 連結代碼錯誤:", error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.delete("/api/users/:userId/telegram", async (req, res) => {
+      try {
+        if (!this.firebaseService.initialized) {
+          return res.status(503).json({ error: "Firebase 未連接" });
+        }
+
+        await this.firebaseService.updateUserTelegramChat(req.params.userId, null);
+        res.json({ success: true, message: "已解除 Telegram 連結" });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // 關注特定產品：target 為產品網址或型號
+    this.app.post("/api/users/:userId/watches", async (req, res) => {
+      try {
+        const { userId } = req.params;
+
+        if (!this.firebaseService.initialized) {
+          return res.status(503).json({ error: "Firebase 未連接" });
+        }
+
+        await this.firebaseService.getOrCreateUser(userId);
+        const watch = await this.addProductWatch(userId, req.body.target);
+        if (!watch) {
+          return res
+            .status(400)
+            .json({ error: "無法辨識的產品網址或型號，例如 FGN63TA/A" });
+        }
+
+        res.json({ success: true, watch });
+      } catch (error) {
+        console.error("新增關注產品錯誤:", error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.delete("/api/users/:userId/watches/:watchId", async (req, res) => {
+      try {
+        const { userId, watchId } = req.params;
+
+        if (!this.firebaseService.initialized) {
+          return res.status(503).json({ error: "Firebase 未連接" });
+        }
+
+        await this.firebaseService.deleteWatch(userId, watchId);
+        res.json({ success: true, message: "已取消關注" });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
     this.app.post("/api/users/:userId/test-summary", async (req, res) => {
       try {
         const { userId } = req.params;
@@ -321,14 +765,128 @@ class AppleTracker {
       });
     });
 
+    this.app.get("/api/scrape-health", async (req, res) => {
+      try {
+        const degradedRuns = this.firebaseService.initialized
+          ? await this.firebaseService.getScrapeHealthRecords()
+          : [];
+
+        res.json({
+          latest: this.scrapeHealthMonitor.latestReport,
+          degradedRuns,
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // 依價值評分排序的目前庫存，可用 region、productType 篩選
+    this.app.get("/api/deals", async (req, res) => {
+      try {
+        const { region, productType } = req.query;
+        if (region && !getRegion(region)) {
+          return res.status(400).json({ error: `不支援的地區: ${region}` });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        res.json(await this.getRankedDeals({ region, productType, limit }));
+      } catch (error) {
+        console.error("取得超值排行錯誤:", error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // 各配置的市場統計：出現頻率、在架時間、價格區間與上架時段
+    this.app.get("/api/analytics/configurations", async (req, res) => {
+      try {
+        if (!this.firebaseService.initialized) {
+          return res.status(503).json({ error: "Firebase 未連接" });
+        }
+
+        const { region, productType, chip } = req.query;
+        res.json(
+          await this.marketAnalytics.getConfigurationStats({
+            region,
+            productType,
+            chip,
+            memoryGB: parseInt(req.query.memory) || null,
+            storageGB: parseInt(req.query.storage) || null,
+          })
+        );
+      } catch (error) {
+        console.error("取得市場統計錯誤:", error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // 立即彙整尚未處理的每日快照（平常在每天建立新快照時自動執行）
+    this.app.post("/api/analytics/rollup", async (req, res) => {
+      try {
+        if (!this.firebaseService.initialized) {
+          return res.status(503).json({ error: "Firebase 未連接" });
+        }
+
+        const snapshotCount = await this.marketAnalytics.rollupSnapshots();
+        this.dealHistoryCache = null;
+        res.json({ success: true, snapshotCount });
+      } catch (error) {
+        console.error("彙整市場統計錯誤:", error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // 產品生命週期：上架區間、在架時間與價格變動，id 為 products 集合的文件 ID
+    this.app.get("/api/products/:id/history", async (req, res) => {
+      try {
+        if (!this.firebaseService.initialized) {
+          return res.status(503).json({ error: "Firebase 未連接" });
+        }
+
+        const lifecycle = await this.firebaseService.getProductLifecycle(
+          req.params.id
+        );
+        if (!lifecycle) {
+          return res.status(404).json({ error: "找不到產品" });
+        }
+
+        res.json(buildProductLifecycle(lifecycle));
+      } catch (error) {
+        console.error("取得產品歷程錯誤:", error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // 以產品網址查詢價格歷史，例如 /api/products/price-history?url=https://www.apple.com/tw/shop/product/...
+    this.app.get("/api/products/price-history", async (req, res) => {
+      try {
+        if (!this.firebaseService.initialized) {
+          return res.status(503).json({ error: "Firebase 未連接" });
+        }
+        if (!req.query.url) {
+          return res.status(400).json({ error: "缺少 url 參數" });
+        }
+
+        const productKey = getProductKey({ url: req.query.url });
+        const history = await this.firebaseService.getPriceHistory(productKey);
+        res.json({ productKey, history });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
     this.app.get("/api/products/test", async (req, res) => {
       try {
-        const allProducts = await this.scrapeProducts();
+        const regions = req.query.region
+          ? req.query.region.split(",").filter((code) => getRegion(code))
+          : [DEFAULT_REGION];
+        const { products: allProducts, outcomes } =
+          await this.scrapeProductsWithOutcomes(regions);
 
         res.json({
           message: `找到 ${allProducts.length} 個產品`,
           total: allProducts.length,
           products: allProducts,
+          outcomes,
         });
       } catch (error) {
         console.error("測試產品爬取錯誤:", error);
@@ -352,22 +910,68 @@ class AppleTracker {
         res.status(200).json([]);
       }
     });
+
+    this.app.post("/webhook/telegram", express.json(), async (req, res) => {
+      const telegramProvider = this.notificationManager.getProvider("telegram");
+      if (
+        !telegramProvider?.isEnabled() ||
+        !telegramProvider.isValidWebhookRequest(
+          req.get("X-Telegram-Bot-Api-Secret-Token")
+        )
+      ) {
+        return res.status(401).json({ error: "unauthorized" });
+      }
+
+      try {
+        await this.handleTelegramUpdate(req.body);
+      } catch (error) {
+        console.error("❌ Telegram webhook錯誤:", error.message);
+      }
+      res.status(200).json({ ok: true });
+    });
   }
 
   async init() {
     await this.loadConfig();
 
+    this.scrapers = {
+      puppeteer: new PuppeteerScraper(this.config.scraperConfig),
+      http: new HttpScraper(this.config.scraperConfig),
+    };
+
     const firebaseReady = await this.firebaseService.initialize();
 
     await this.notificationManager.initialize({
       line: this.config.lineConfig,
       email: this.config.emailConfig || { enabled: false },
+      discord: this.config.discordConfig,
+      slack: this.config.slackConfig,
+      webhook: {
+        ...this.config.webhookConfig,
+        onDelivery: (userId, delivery) =>
+          this.firebaseService.saveWebhookDelivery(userId, delivery),
+      },
+      webpush: this.config.webPushConfig.vapidPublicKey
+        ? {
+            ...this.config.webPushConfig,
+            onExpired: (userId, subscriptionId) =>
+              this.firebaseService.removePushSubscription(userId, subscriptionId),
+          }
+        : { enabled: false },
+      selfhosted: this.config.selfHostedPushConfig,
+      telegram: this.config.telegramConfig.botToken
+        ? this.config.telegramConfig
+        : { enabled: false },
     });
 
-    this.browser = await puppeteer.launch({
-      headless: true,
-      args: ["--no-sandbox", "--disable-setuid-sandbox"],
-    });
+    // HTTP 模式只在需要回退時才啟動瀏覽器
+    if (this.getScraper() === this.scrapers.puppeteer) {
+      await this.scrapers.puppeteer.initialize();
+    }
+
+    if (firebaseReady) {
+      await this.firebaseService.migrateProductKeys();
+    }
 
     // 檢查並自動重啟追蹤
     if (firebaseReady) {
@@ -403,36 +1007,193 @@ class AppleTracker {
         channelAccessToken: process.env.LINE_CHANNEL_ACCESS_TOKEN || "",
         channelSecret: process.env.LINE_CHANNEL_SECRET || "",
       },
-    };
-  }
+      // Discord 不需要伺服器端憑證，各用戶自行設定 webhook 網址
+      discordConfig: {
+        enabled: process.env.DISCORD_ENABLED !== "false",
+        allowedHosts: parseHostList(process.env.DISCORD_WEBHOOK_HOSTS),
+      },
+      // 設定 bot token 後用戶也可以填 SLACK_ALLOWED_CHANNELS 中的頻道，否則只能使用 incoming webhook
+      slackConfig: {
+        enabled: process.env.SLACK_ENABLED !== "false",
+        allowedHosts: parseHostList(process.env.SLACK_WEBHOOK_HOSTS),
+        botToken: process.env.SLACK_BOT_TOKEN || "",
+        allowedChannels: parseHostList(process.env.SLACK_ALLOWED_CHANNELS),
+        apiBaseUrl: process.env.SLACK_API_BASE_URL || "",
+      },
+      // 自訂 webhook 預設接受任何公開的 https 網址，設定 WEBHOOK_ALLOWED_HOSTS 後只允許這些主機
+      webhookConfig: {
+        enabled: process.env.WEBHOOK_ENABLED !== "false",
+        allowedHosts: parseHostList(process.env.WEBHOOK_ALLOWED_HOSTS),
+        maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS || 3),
+      },
+      // VAPID 金鑰可用 npx web-push generate-vapid-keys 產生，未設定時停用 Web Push
+      webPushConfig: {
+        vapidPublicKey: process.env.VAPID_PUBLIC_KEY || "",
+        vapidPrivateKey: process.env.VAPID_PRIVATE_KEY || "",
+        subject: process.env.VAPID_SUBJECT || "",
+      },
+      // ntfy / Gotify 伺服器預設需為公開的 https 網址，設定 SELF_HOSTED_PUSH_HOSTS 後只允許這些主機（可使用 http）
+      selfHostedPushConfig: {
+        enabled: process.env.SELF_HOSTED_PUSH_ENABLED !== "false",
+        allowedHosts: parseHostList(process.env.SELF_HOSTED_PUSH_HOSTS),
+      },
+      telegramConfig: {
+        botToken: process.env.TELEGRAM_BOT_TOKEN || "",
+        apiBaseUrl: process.env.TELEGRAM_API_BASE_URL || "",
+        webhookUrl: process.env.TELEGRAM_WEBHOOK_URL || "",
+        webhookSecret: process.env.TELEGRAM_WEBHOOK_SECRET || "",
+      },
+      adminUserIds: (process.env.ADMIN_LINE_USER_IDS || "")
+        .split(",")
+        .map((id) => id.trim())
+        .filter(Boolean),
+      scraperConfig: {
+        backend: process.env.SCRAPER_BACKEND === "http" ? "http" : "puppeteer",
+        detailPages: process.env.SCRAPE_DETAIL_PAGES === "true",
+        concurrency: Number(process.env.SCRAPER_CONCURRENCY || 2),
+        retries: Number(process.env.SCRAPER_RETRIES || 2),
+        timeout: Number(process.env.SCRAPER_TIMEOUT_MS || 30000),
+      },
+      // 產品下架超過這個時數後重新出現才通知為補貨
+      restockMinAbsenceHours: Number(
+        process.env.RESTOCK_MIN_ABSENCE_HOURS || 24
+      ),
+    };
+  }
+
+  // 比對產品歷史，找出新上架、補貨（下架一段時間後重新出現）與本次消失的產品
+  async detectProductChanges(currentProducts) {
+    const changes = {
+      newProducts: [],
+      restockedProducts: [],
+      goneProductKeys: [],
+      priceChanges: [],
+      listingChanges: [],
+      previousProducts: new Map(),
+    };
 
-  async detectNewProducts(currentProducts) {
     try {
       if (!this.firebaseService.initialized) {
-        return [];
+        return changes;
       }
 
       const previousProducts = await this.firebaseService.getProductHistory();
-      const newProducts = [];
+      changes.previousProducts = previousProducts;
+
+      const now = Date.now();
+      const minAbsenceMs = this.config.restockMinAbsenceHours * 60 * 60 * 1000;
+      const currentKeys = new Set();
+      const scrapedGroups = new Set();
 
       for (const product of currentProducts) {
-        // 使用產品基礎 URL（移除 fnode 參數）來比較
-        const productKey = this.getProductKey(product.url);
-        if (!previousProducts.has(productKey)) {
-          newProducts.push(product);
+        // 使用產品型號來比較，網址 slug 變更不會被誤判為新產品
+        const productKey = getProductKey(product);
+        currentKeys.add(productKey);
+        scrapedGroups.add(`${product.region}:${product.category}`);
+
+        const previous = previousProducts.get(productKey);
+        if (!previous) {
+          changes.newProducts.push(product);
+          continue;
+        }
+
+        const priceChange = this.getPriceChange(previous, product);
+        if (priceChange) {
+          changes.priceChanges.push({ ...product, priceChange });
+        }
+        const listingChanges = this.getListingChanges(previous, product);
+        if (listingChanges.length > 0) {
+          changes.listingChanges.push({ ...product, listingChanges });
+        }
+
+        if (previous.status === "gone") {
+          const goneSince = this.toDate(previous.goneSince);
+          const absenceMs = goneSince ? now - goneSince.getTime() : Infinity;
+          // 短暫消失又出現（例如單次爬取不完整）不視為補貨
+          if (absenceMs >= minAbsenceMs) {
+            changes.restockedProducts.push({
+              ...product,
+              goneSince: goneSince ? goneSince.toISOString() : null,
+            });
+          }
+        }
+      }
+
+      // 只有本次有取得產品的地區分類才判斷下架，避免單一頁面爬取失敗時整批誤判
+      for (const [productKey, previous] of previousProducts) {
+        if (previous.status === "gone" || currentKeys.has(productKey)) continue;
+        const region = previous.region || DEFAULT_REGION;
+        if (scrapedGroups.has(`${region}:${previous.category}`)) {
+          changes.goneProductKeys.push(productKey);
         }
       }
 
-      return newProducts;
+      return changes;
     } catch (error) {
       console.error("新產品檢測失敗:", error.message);
-      return [];
+      return changes;
     }
   }
 
-  // 獲取產品的唯一標識符（移除 URL 中的動態參數）
-  getProductKey(url) {
-    return url.split("?")[0]; // 移除查詢參數，只保留基礎 URL
+  getPriceChange(previous, product) {
+    const oldValue = this.getPriceValue(previous);
+    const newValue = this.getPriceValue(product);
+    if (oldValue === null || newValue === null || oldValue === newValue) {
+      return null;
+    }
+
+    const amount = Math.abs(newValue - oldValue);
+    return {
+      direction: newValue < oldValue ? "drop" : "increase",
+      oldPrice: previous.price,
+      newPrice: product.price,
+      oldValue,
+      newValue,
+      amount,
+      percent: Math.round((amount / oldValue) * 1000) / 10,
+    };
+  }
+
+  // 名稱或主要規格變動；規格只比較前後都有值的欄位，避免解析規則更新時誤報
+  getListingChanges(previous, product) {
+    const changes = [];
+    if (previous.name && previous.name !== product.name) {
+      changes.push({ field: "name", from: previous.name, to: product.name });
+    }
+
+    const previousSpecs = previous.specs || {};
+    const currentSpecs = product.specs || {};
+    for (const field of ["chip", "memory", "storage", "color", "screenSize"]) {
+      const from = previousSpecs[field];
+      const to = currentSpecs[field];
+      if (from && to && from !== to) {
+        changes.push({ field, from, to });
+      }
+    }
+
+    return changes;
+  }
+
+  // 規則設定的降價門檻（金額與百分比）都須達到
+  meetsPriceDropThreshold(priceChange, filters) {
+    if (!priceChange || priceChange.direction !== "drop") return false;
+    if (!filters.priceDropAmount && !filters.priceDropPercent) return false;
+    if (filters.priceDropAmount && priceChange.amount < filters.priceDropAmount)
+      return false;
+    if (
+      filters.priceDropPercent &&
+      priceChange.percent < filters.priceDropPercent
+    )
+      return false;
+    return true;
+  }
+
+  // Firestore Timestamp、ISO 字串或 Date 轉為 Date
+  toDate(value) {
+    if (!value) return null;
+    if (typeof value.toDate === "function") return value.toDate();
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
   }
 
   async notifyAllUsers(message, productIds = []) {
@@ -457,6 +1218,16 @@ class AppleTracker {
     return results;
   }
 
+  formatAbsence(goneSince) {
+    const date = this.toDate(goneSince);
+    if (!date) return "";
+
+    const hours = Math.floor((Date.now() - date.getTime()) / (60 * 60 * 1000));
+    return hours >= 48
+      ? `（下架 ${Math.floor(hours / 24)} 天後重新上架）`
+      : `（下架 ${hours} 小時後重新上架）`;
+  }
+
   async formatNewProductMessage(newProducts) {
     if (newProducts.length === 0) return null;
 
@@ -465,16 +1236,31 @@ class AppleTracker {
 
   async createBatchMessages(newProducts) {
     const messages = [];
-    const productsPerMessage = 10;
 
-    for (let i = 0; i < newProducts.length; i += productsPerMessage) {
-      const batch = newProducts.slice(i, i + productsPerMessage);
-      const batchNumber = Math.floor(i / productsPerMessage) + 1;
-      const totalBatches = Math.ceil(newProducts.length / productsPerMessage);
+    for (let i = 0; i < newProducts.length; i += PRODUCTS_PER_MESSAGE) {
+      const batch = newProducts.slice(i, i + PRODUCTS_PER_MESSAGE);
+      const batchNumber = Math.floor(i / PRODUCTS_PER_MESSAGE) + 1;
+      const totalBatches = Math.ceil(newProducts.length / PRODUCTS_PER_MESSAGE);
 
       let message;
       if (i === 0) {
-        message = `🆕 發現 ${newProducts.length} 個新整修產品！\n`;
+        const countByType = (type) =>
+          newProducts.filter(
+            (product) => (product.eventType || "new") === type
+          ).length;
+        const headerParts = [
+          [countByType("new"), (n) => `🆕 發現 ${n} 個新整修產品`],
+          [countByType("restock"), (n) => `🔄 ${n} 個重新上架`],
+          [countByType("price_drop"), (n) => `📉 ${n} 個降價`],
+          [countByType("price_increase"), (n) => `📈 ${n} 個漲價`],
+          [countByType("listing_change"), (n) => `✏️ ${n} 個商品資訊變更`],
+          [countByType("watch_available"), (n) => `👀 ${n} 個關注的產品上架`],
+          [countByType("watch_price_change"), (n) => `💲 ${n} 個關注的產品價格變動`],
+          [countByType("watch_gone"), (n) => `📤 ${n} 個關注的產品下架`],
+        ]
+          .filter(([count]) => count > 0)
+          .map(([count, format]) => format(count));
+        message = `${headerParts.join("、")}！\n`;
         if (totalBatches > 1) {
           message += `📄 第 ${batchNumber}/${totalBatches} 批\n\n`;
         } else {
@@ -494,7 +1280,32 @@ class AppleTracker {
           .trim();
 
         message += `${globalIndex}. ${shortName}\n`;
-        message += `💰 ${product.price}\n`;
+        if (product.eventType === "restock") {
+          message += `🔄 補貨${this.formatAbsence(product.goneSince)}\n`;
+        } else if (product.eventType === "price_drop") {
+          const { amount, percent, oldPrice, newPrice } = product.priceChange;
+          message += `📉 降價 ${amount.toLocaleString()}（${percent}%）: ${oldPrice} → ${newPrice}\n`;
+        } else if (product.eventType === "price_increase") {
+          const { amount, percent, oldPrice, newPrice } = product.priceChange;
+          message += `📈 漲價 ${amount.toLocaleString()}（${percent}%）: ${oldPrice} → ${newPrice}\n`;
+        } else if (product.eventType === "listing_change") {
+          product.listingChanges.forEach(({ field, from, to }) => {
+            message += `✏️ ${LISTING_FIELD_NAMES[field] || field}: ${from} → ${to}\n`;
+          });
+        } else if (product.eventType === "watch_available") {
+          message += `👀 關注的產品已上架${this.formatAbsence(product.goneSince)}\n`;
+        } else if (product.eventType === "watch_price_change") {
+          message += `💲 價格變動: ${product.previousPrice} → ${product.price}\n`;
+        } else if (product.eventType === "watch_gone") {
+          message += `📤 關注的產品已下架\n`;
+        }
+        if (product.region && product.region !== DEFAULT_REGION) {
+          message += `🌏 ${getRegion(product.region)?.name || product.region}\n`;
+        }
+        message += `💰 ${this.formatPriceText(product)}\n`;
+        if (product.deal?.rank) {
+          message += `🏆 價值排名 ${product.deal.rank}/${product.deal.total}（前 ${product.deal.topPercent}%）\n`;
+        }
         
         // 顯示匹配的規則
         if (product.matchingRules && product.matchingRules.length > 0) {
@@ -518,6 +1329,113 @@ class AppleTracker {
     return messages;
   }
 
+  // 規則未指定管道時發送到用戶啟用的所有通知方式
+  getRuleRouting(rule) {
+    return {
+      channels:
+        Array.isArray(rule.channels) && rule.channels.length > 0
+          ? rule.channels
+          : null,
+      priority: RULE_PRIORITIES.includes(rule.priority)
+        ? rule.priority
+        : "normal",
+      slackTarget: rule.slackTarget || null,
+    };
+  }
+
+  // items: [{ product, matchingRules, routings }]，回傳依優先順序排列的
+  // [{ channels, priority, slackTarget, products }]
+  groupAlertsByRouting(items) {
+    const groups = new Map();
+
+    for (const { product, matchingRules, routings } of items) {
+      const channels = routings.some((routing) => !routing.channels)
+        ? null
+        : [...new Set(routings.flatMap((routing) => routing.channels))].sort();
+      const priority = RULE_PRIORITIES.find((level) =>
+        routings.some((routing) => routing.priority === level)
+      );
+      // 多個規則都指定 Slack 目標時使用優先順序最高的規則
+      const slackTarget =
+        [...routings]
+          .sort(
+            (a, b) =>
+              RULE_PRIORITIES.indexOf(a.priority) -
+              RULE_PRIORITIES.indexOf(b.priority)
+          )
+          .find((routing) => routing.slackTarget)?.slackTarget || null;
+
+      const key = `${priority}:${channels ? channels.join(",") : "*"}:${slackTarget || ""}`;
+      if (!groups.has(key)) {
+        groups.set(key, { channels, priority, slackTarget, products: [] });
+      }
+      groups.get(key).products.push({ ...product, matchingRules });
+    }
+
+    return Array.from(groups.values()).sort(
+      (a, b) =>
+        RULE_PRIORITIES.indexOf(a.priority) -
+        RULE_PRIORITIES.indexOf(b.priority)
+    );
+  }
+
+  // 發送一組產品通知，任一批成功送出時回傳 true
+  async sendProductAlerts(
+    user,
+    products,
+    { channels = null, priority = "normal", slackTarget = null } = {}
+  ) {
+    const messages = await this.formatNewProductMessage(products);
+    if (!messages || messages.length === 0) return false;
+
+    if (priority === "high") {
+      messages[0] = `🚨 優先通知\n${messages[0]}`;
+    }
+
+    const productIds = products.map((p) => getProductId(getProductKey(p)));
+    let delivered = false;
+
+    for (let i = 0; i < messages.length; i++) {
+      const message = messages[i];
+      try {
+        const results = await this.notificationManager.sendNotification(
+          user,
+          message,
+          {
+            productIds,
+            // 每則訊息對應的產品，供 Discord、Slack 等支援圖文格式的通知方式使用
+            products: products.slice(
+              i * PRODUCTS_PER_MESSAGE,
+              (i + 1) * PRODUCTS_PER_MESSAGE
+            ),
+            channels,
+            priority,
+            slackTarget,
+            ...(priority === "high" && { subject: "🚨 Apple 整修機優先通知" }),
+            batchInfo: { current: i + 1, total: messages.length },
+          }
+        );
+
+        if (results.some((result) => result.success)) {
+          await this.firebaseService.saveNotification(
+            user.lineUserId,
+            message,
+            productIds
+          );
+          delivered = true;
+        }
+
+        if (i < messages.length - 1) {
+          await new Promise((resolve) => setTimeout(resolve, 1000));
+        }
+      } catch (error) {
+        console.error(`❌ 發送第${i + 1}批訊息失敗:`, error.message);
+      }
+    }
+
+    return delivered;
+  }
+
   async shortenUrl(url) {
     try {
       const response = await fetch(
@@ -555,79 +1473,8 @@ class AppleTracker {
 
     await this.registerUser(userId);
 
-    let replyMessage = "";
-
     try {
-      switch (messageText.toLowerCase()) {
-        case "/start":
-          if (this.isTracking) {
-            replyMessage = "⚠️ 系統已在追蹤中";
-          } else {
-            await this.startTracking();
-            replyMessage =
-              "✅ 開始追蹤 Apple 整修產品\n📱 有新品時會立即通知您";
-          }
-          break;
-
-        case "/stop":
-          if (!this.isTracking) {
-            replyMessage = "⚠️ 系統目前未在追蹤";
-          } else {
-            await this.stopTracking();
-            replyMessage = "⏹️ 已停止追蹤";
-          }
-          break;
-
-        case "/status":
-          replyMessage = await this.getStatusMessage();
-          break;
-
-        case "/help":
-          replyMessage = this.getHelpMessage();
-          break;
-
-        case "/test":
-          replyMessage = "🧪 測試通知\n✅ 系統運作正常！";
-          break;
-          
-        case "/test-summary":
-          replyMessage = await this.testDailySummary(userId);
-          break;
-          
-        case "/force-summary":
-          replyMessage = await this.forceSendSummary(userId);
-          break;
-
-        case "/rules":
-          replyMessage = await this.getUserRulesMessage(userId);
-          break;
-
-        case "/add":
-          const liffId = process.env.LINE_LIFF_ID;
-          if (liffId) {
-            replyMessage = `📝 請使用 LINE 網頁介面設定個人追蹤規則:\nhttps://liff.line.me/${liffId}\n\n✨ 自動識別身份，無需額外設定`;
-          } else {
-            const webUrl = process.env.WEB_URL || "http://localhost:3000";
-            replyMessage = `📝 請使用網頁介面新增追蹤規則:\n${webUrl}\n\n⚠️ 提醒：請先設定 LIFF ID 以便識別身份`;
-          }
-          break;
-
-        case "/delete":
-          replyMessage = await this.getDeleteRulesMessage(userId);
-          break;
-
-        default:
-          // 檢查是否是刪除規則指令格式: /delete 1 或 delete 1
-          const deleteMatch = messageText.match(
-            /^(?:\/delete|\/remove|\/del|delete\s+rule|remove\s+rule)\s+(\d+)$/i
-          );
-          if (deleteMatch) {
-            const ruleNumber = parseInt(deleteMatch[1]);
-            replyMessage = await this.deleteRuleByNumber(userId, ruleNumber);
-          } else {
-            replyMessage = "❓ 不認識的指令\n請輸入「/help」查看可用指令";
-          }
-      }
+      const replyMessage = await this.handleCommand(userId, messageText);
 
       if (replyMessage) {
         const lineProvider = this.notificationManager.getProvider("line");
@@ -649,6 +1496,193 @@ class AppleTracker {
     return null;
   }
 
+  // LINE 與 Telegram 共用的文字指令，回傳要回覆的訊息
+  async handleCommand(userId, messageText) {
+    let replyMessage = "";
+    const command = messageText.toLowerCase();
+
+    // 開始/停止追蹤會影響所有用戶，摘要測試會重新爬取所有追蹤地區，只開放給管理員
+    if (
+      ADMIN_COMMANDS.includes(command) &&
+      !(this.config.adminUserIds || []).includes(userId)
+    ) {
+      return "⛔ 只有管理員可以使用此指令";
+    }
+
+    switch (command) {
+      case "/start":
+        if (this.isTracking) {
+          replyMessage = "⚠️ 系統已在追蹤中";
+        } else {
+          await this.startTracking();
+          replyMessage =
+            "✅ 開始追蹤 Apple 整修產品\n📱 有新品時會立即通知您";
+        }
+        break;
+
+      case "/stop":
+        if (!this.isTracking) {
+          replyMessage = "⚠️ 系統目前未在追蹤";
+        } else {
+          await this.stopTracking();
+          replyMessage = "⏹️ 已停止追蹤";
+        }
+        break;
+
+      case "/status":
+        replyMessage = await this.getStatusMessage();
+        break;
+
+      case "/help":
+        replyMessage = this.getHelpMessage();
+        break;
+
+      case "/test":
+        replyMessage = "🧪 測試通知\n✅ 系統運作正常！";
+        break;
+        
+      case "/test-summary":
+        replyMessage = await this.testDailySummary(userId);
+        break;
+        
+      case "/force-summary":
+        replyMessage = await this.forceSendSummary(userId);
+        break;
+
+      case "/rules":
+        replyMessage = await this.getUserRulesMessage(userId);
+        break;
+
+      case "/add":
+        const liffId = process.env.LINE_LIFF_ID;
+        if (liffId) {
+          replyMessage = `📝 請使用 LINE 網頁介面設定個人追蹤規則:\nhttps://liff.line.me/${liffId}\n\n✨ 自動識別身份，無需額外設定`;
+        } else {
+          const webUrl = process.env.WEB_URL || "http://localhost:3000";
+          replyMessage = `📝 請使用網頁介面新增追蹤規則:\n${webUrl}\n\n⚠️ 提醒：請先設定 LIFF ID 以便識別身份`;
+        }
+        break;
+
+      case "/delete":
+        replyMessage = await this.getDeleteRulesMessage(userId);
+        break;
+
+      case "/watches":
+        replyMessage = await this.getWatchesMessage(userId);
+        break;
+
+      default:
+        // 檢查是否是刪除規則指令格式: /delete 1 或 delete 1
+        const deleteMatch = messageText.match(
+          /^(?:\/delete|\/remove|\/del|delete\s+rule|remove\s+rule)\s+(\d+)$/i
+        );
+        const watchMatch = messageText.match(/^\/watch\s+(.+)$/i);
+        const unwatchMatch = messageText.match(/^\/unwatch\s+(\d+)$/i);
+        if (deleteMatch) {
+          const ruleNumber = parseInt(deleteMatch[1]);
+          replyMessage = await this.deleteRuleByNumber(userId, ruleNumber);
+        } else if (unwatchMatch) {
+          replyMessage = await this.deleteWatchByNumber(
+            userId,
+            parseInt(unwatchMatch[1])
+          );
+        } else if (watchMatch || /apple\.com\/\S*shop\/product\//i.test(messageText)) {
+          // 直接貼上產品連結也視為關注
+          replyMessage = await this.getAddWatchMessage(
+            userId,
+            watchMatch ? watchMatch[1] : messageText
+          );
+        } else {
+          replyMessage = "❓ 不認識的指令\n請輸入「/help」查看可用指令";
+        }
+    }
+
+    return replyMessage;
+  }
+
+  // Telegram 的訊息：/start 或 /link 加上代碼時連結帳號，已連結的用戶可使用與 LINE 相同的指令
+  async handleTelegramUpdate(update) {
+    const message = update.message;
+    if (!message || typeof message.text !== "string") return;
+
+    const telegramProvider = this.notificationManager.getProvider("telegram");
+    const chatId = String(message.chat.id);
+    // 群組中的指令會帶有 bot 名稱，例如 /rules@MyBot
+    const messageText = message.text.trim().replace(/^(\/\S+?)@\S+/, "$1");
+
+    let replyMessage;
+    try {
+      const linkMatch = messageText.match(/^\/(?:start|link)\s+(\S+)$/i);
+      if (linkMatch) {
+        replyMessage = await this.linkTelegramChat(chatId, linkMatch[1]);
+      } else if (!this.firebaseService.initialized) {
+        replyMessage = "❌ Firebase未連接，暫時無法使用";
+      } else {
+        const user = await this.firebaseService.getUserByTelegramChatId(chatId);
+        if (!user) {
+          replyMessage =
+            "👋 歡迎使用 Apple 整修機追蹤 Bot\n\n" +
+            "請先在網頁的「🔔 其他通知方式」產生連結代碼，再傳送「/link 代碼」完成連結";
+        } else if (messageText.toLowerCase() === "/start") {
+          // Telegram 開啟 bot 時會自動送出 /start，不視為開始追蹤指令
+          replyMessage = "✅ 已連結帳號\n請輸入「/help」查看可用指令";
+        } else {
+          replyMessage = await this.handleCommand(user.lineUserId, messageText);
+        }
+      }
+    } catch (error) {
+      console.error("處理Telegram訊息錯誤:", error);
+      replyMessage = "❌ 系統發生錯誤，請稍後再試";
+    }
+
+    if (replyMessage) {
+      await telegramProvider.replyMessage(chatId, replyMessage);
+    }
+  }
+
+  createWebhookSecret() {
+    return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+  }
+
+  async createTelegramLinkCode(userId) {
+    const code = Array.from(
+      { length: 8 },
+      () => TELEGRAM_LINK_CODE_CHARS[crypto.randomInt(TELEGRAM_LINK_CODE_CHARS.length)]
+    ).join("");
+    const expiresAt = new Date(Date.now() + TELEGRAM_LINK_CODE_TTL_MS).toISOString();
+    await this.firebaseService.saveTelegramLinkCode(code, userId, expiresAt);
+
+    const telegramProvider = this.notificationManager.getProvider("telegram");
+    return {
+      code,
+      expiresAt,
+      botUsername: telegramProvider.botUsername,
+      linkUrl: telegramProvider.getLinkUrl(code),
+    };
+  }
+
+  async linkTelegramChat(chatId, code) {
+    if (!this.firebaseService.initialized) {
+      return "❌ Firebase未連接，無法連結帳號";
+    }
+
+    const userId = await this.firebaseService.consumeTelegramLinkCode(
+      code.toUpperCase()
+    );
+    if (!userId) {
+      return "❌ 連結代碼無效或已過期，請在網頁重新產生";
+    }
+
+    // 同一個 Telegram 對話只連結一個帳號
+    const previous = await this.firebaseService.getUserByTelegramChatId(chatId);
+    if (previous && previous.lineUserId !== userId) {
+      await this.firebaseService.updateUserTelegramChat(previous.lineUserId, null);
+    }
+    await this.firebaseService.updateUserTelegramChat(userId, chatId);
+
+    return "✅ 已連結帳號，之後的通知也會發送到這裡\n請輸入「/help」查看可用指令";
+  }
+
   async registerUser(userId) {
     if (!this.firebaseService.initialized) {
       return;
@@ -674,6 +1708,18 @@ class AppleTracker {
     return message;
   }
 
+  formatStorage(gb) {
+    return gb >= 1024 ? `${gb / 1024}TB` : `${gb}GB`;
+  }
+
+  formatPriceRange({ minPrice, maxPrice }) {
+    if (minPrice && maxPrice)
+      return `${minPrice.toLocaleString()} - ${maxPrice.toLocaleString()}`;
+    return minPrice
+      ? `≥${minPrice.toLocaleString()}`
+      : `≤${maxPrice.toLocaleString()}`;
+  }
+
   async getUserRulesMessage(userId) {
     if (!this.firebaseService.initialized) {
       const liffId = process.env.LINE_LIFF_ID;
@@ -702,13 +1748,95 @@ class AppleTracker {
 
       rules.forEach((rule, index) => {
         message += `${index + 1}. ${rule.name}\n`;
+        if (rule.filters.regions && rule.filters.regions.length > 0)
+          message += `   🌏 地區: ${rule.filters.regions
+            .map((code) => getRegion(code)?.name || code)
+            .join(", ")}\n`;
         if (rule.filters.productType)
           message += `   📱 產品: ${rule.filters.productType}\n`;
-        if (rule.filters.chip) message += `   🔧 晶片: ${rule.filters.chip}\n`;
+        const chips = [
+          ...this.toFilterList(rule.filters.chip),
+          ...this.toFilterList(rule.filters.chips),
+        ];
+        if (chips.length > 0) message += `   🔧 晶片: ${chips.join(", ")}\n`;
+        if (rule.filters.minChipGeneration)
+          message += `   🔧 晶片世代: ≥M${rule.filters.minChipGeneration}\n`;
         if (rule.filters.minMemory)
           message += `   💾 記憶體: ≥${rule.filters.minMemory}GB\n`;
-        if (rule.filters.maxPrice)
-          message += `   💰 價格: ≤NT$${rule.filters.maxPrice.toLocaleString()}\n`;
+        if (rule.filters.minStorage)
+          message += `   💽 儲存空間: ≥${this.formatStorage(rule.filters.minStorage)}\n`;
+        const screenSizes = this.toFilterList(rule.filters.screenSize);
+        if (screenSizes.length > 0)
+          message += `   📐 尺寸: ${screenSizes.map((size) => `${parseFloat(size)}吋`).join(", ")}\n`;
+        const colors = [
+          ...this.toFilterList(rule.filters.color),
+          ...this.toFilterList(rule.filters.colors),
+        ];
+        if (colors.length > 0) message += `   🎨 顏色: ${colors.join(", ")}\n`;
+        if (rule.filters.minPrice || rule.filters.maxPrice)
+          message += `   💰 價格: ${this.formatPriceRange(rule.filters)}\n`;
+        if (rule.filters.minDiscount)
+          message += `   💸 折扣: ≥${rule.filters.minDiscount}%\n`;
+        if (rule.filters.topValuePercent)
+          message += `   🏆 價值: 前 ${rule.filters.topValuePercent}%\n`;
+        if (rule.filters.priceDropAmount || rule.filters.priceDropPercent)
+          message += `   📉 降價通知: ${[
+            rule.filters.priceDropAmount &&
+              `≥${rule.filters.priceDropAmount.toLocaleString()}`,
+            rule.filters.priceDropPercent &&
+              `≥${rule.filters.priceDropPercent}%`,
+          ]
+            .filter(Boolean)
+            .join(" 且 ")}\n`;
+        if (rule.filters.notifyPriceIncreases)
+          message += `   📈 通知漲價\n`;
+        if (rule.filters.notifyListingChanges)
+          message += `   ✏️ 通知商品資訊變更\n`;
+        if (rule.filters.minCpuCores || rule.filters.minGpuCores)
+          message += `   ⚙️ 核心: ${[
+            rule.filters.minCpuCores && `CPU ≥${rule.filters.minCpuCores}`,
+            rule.filters.minGpuCores && `GPU ≥${rule.filters.minGpuCores}`,
+          ]
+            .filter(Boolean)
+            .join(", ")}\n`;
+        if (rule.filters.minReleaseYear)
+          message += `   📅 發表: ≥${rule.filters.minReleaseYear} 年\n`;
+        if (rule.filters.keyboardLayout)
+          message += `   ⌨️ 鍵盤: ${rule.filters.keyboardLayout}\n`;
+        if (rule.filters.nanoTexture !== undefined)
+          message += `   🖥️ ${rule.filters.nanoTexture ? "奈米紋理顯示器" : "標準顯示器"}\n`;
+        if (rule.filters.connectivity)
+          message += `   📶 網路: ${rule.filters.connectivity}\n`;
+        if (rule.filters.capacity)
+          message += `   💽 容量: ${rule.filters.capacity}\n`;
+        if (rule.filters.caseSize || rule.filters.caseMaterial)
+          message += `   ⌚ 錶殼: ${[rule.filters.caseSize, rule.filters.caseMaterial]
+            .filter(Boolean)
+            .join(" ")}\n`;
+        if (rule.filters.cellular !== undefined)
+          message += `   📡 ${rule.filters.cellular ? "GPS + 行動網路" : "僅 GPS"}\n`;
+        if (rule.filters.minGeneration)
+          message += `   🎧 世代: ≥第 ${rule.filters.minGeneration} 代\n`;
+        const includeKeywords = this.toFilterList(rule.filters.includeKeywords);
+        if (includeKeywords.length > 0)
+          message += `   🔍 包含: ${includeKeywords.join(", ")}\n`;
+        const excludeKeywords = this.toFilterList(rule.filters.excludeKeywords);
+        if (excludeKeywords.length > 0)
+          message += `   🚫 排除: ${excludeKeywords.join(", ")}\n`;
+        if (rule.filters.expression)
+          message += `   🧮 條件: ${formatExpression(rule.filters.expression)}\n`;
+        const routing = this.getRuleRouting(rule);
+        if (routing.channels || routing.priority !== "normal")
+          message += `   📮 ${[
+            routing.priority === "high" && "優先通知",
+            routing.priority === "low" && "併入每日摘要",
+            routing.channels && `管道: ${routing.channels.join(", ")}`,
+          ]
+            .filter(Boolean)
+            .join("、")}\n`;
+        const limitsText = this.ruleAlertPolicy.formatLimits(rule);
+        if (limitsText) message += `   🔔 通知: ${limitsText}\n`;
+        message += `   ${this.ruleAlertPolicy.formatStatus(rule)}\n`;
         message += "\n";
       });
 
@@ -737,7 +1865,11 @@ class AppleTracker {
         message += `${index + 1}. ${rule.name}\n`;
         if (rule.filters.productType)
           message += `   📱 ${rule.filters.productType}`;
-        if (rule.filters.chip) message += ` ${rule.filters.chip}`;
+        const chips = [
+          ...this.toFilterList(rule.filters.chip),
+          ...this.toFilterList(rule.filters.chips),
+        ];
+        if (chips.length > 0) message += ` ${chips.join("/")}`;
         if (rule.filters.minMemory) message += ` ≥${rule.filters.minMemory}GB`;
         message += "\n\n";
       });
@@ -780,6 +1912,113 @@ class AppleTracker {
     }
   }
 
+  // 以產品網址或型號加入關注，無法辨識時回傳 null；已有產品紀錄時以目前狀態作為起點
+  async addProductWatch(userId, text) {
+    const target = parseWatchTarget(text);
+    if (!target) return null;
+
+    const product = await this.firebaseService.getProduct(target.productKey);
+    const listed = product && product.status !== "gone";
+    const changedAt = product && this.toDate(listed ? product.lastSeen : product.goneSince);
+    const watch = {
+      ...target,
+      url: product?.url || target.url,
+      name: product?.name || null,
+      lastKnown: product
+        ? toWatchState(
+            product,
+            listed ? "available" : "gone",
+            (changedAt || new Date()).toISOString()
+          )
+        : null,
+    };
+    watch.id = await this.firebaseService.saveWatch(userId, watch);
+    return watch;
+  }
+
+  formatWatchStatus(watch) {
+    const last = watch.lastKnown;
+    if (!last) return "❔ 尚未在商店出現過";
+    return last.status === "available"
+      ? `🟢 上架中 ${last.price || ""}`.trim()
+      : "⚪ 目前未上架";
+  }
+
+  async getAddWatchMessage(userId, text) {
+    if (!this.firebaseService.initialized) {
+      return "❌ Firebase未連接，無法關注產品";
+    }
+
+    try {
+      const watch = await this.addProductWatch(userId, text);
+      if (!watch) {
+        return "❓ 無法辨識的產品網址或型號\n請貼上 Apple 整修品的產品連結，或輸入型號（例如 /watch FGN63TA/A）";
+      }
+
+      return (
+        `👀 已關注：${watch.name || watch.partNumber}\n` +
+        `🌏 ${getRegion(watch.region).name}\n` +
+        `${this.formatWatchStatus(watch)}\n\n` +
+        "重新上架、價格變動或下架時會通知您"
+      );
+    } catch (error) {
+      console.error("關注產品錯誤:", error);
+      return "❌ 關注產品失敗，請稍後再試";
+    }
+  }
+
+  async getWatchesMessage(userId) {
+    if (!this.firebaseService.initialized) {
+      return "❌ Firebase未連接，無法取得關注的產品";
+    }
+
+    try {
+      const watches = await this.firebaseService.getUserWatches(userId);
+      if (watches.length === 0) {
+        return "👀 您目前沒有關注任何產品\n\n💬 直接貼上產品連結，或輸入「/watch 型號」即可關注";
+      }
+
+      let message = `👀 關注的產品 (${watches.length} 個):\n\n`;
+      watches.forEach((watch, index) => {
+        message += `${index + 1}. ${watch.lastKnown?.name || watch.name || watch.partNumber}\n`;
+        message += `   🏷️ ${watch.partNumber}・${getRegion(watch.region)?.name || watch.region}\n`;
+        message += `   ${this.formatWatchStatus(watch)}\n\n`;
+      });
+      message += '💬 輸入 "/unwatch 1" 取消關注第1個產品';
+
+      return message;
+    } catch (error) {
+      console.error("取得關注產品錯誤:", error);
+      return "❌ 無法取得關注的產品";
+    }
+  }
+
+  async deleteWatchByNumber(userId, watchNumber) {
+    if (!this.firebaseService.initialized) {
+      return "❌ Firebase未連接，無法取消關注";
+    }
+
+    try {
+      const watches = await this.firebaseService.getUserWatches(userId);
+
+      if (watches.length === 0) {
+        return "👀 您目前沒有關注任何產品";
+      }
+
+      if (watchNumber < 1 || watchNumber > watches.length) {
+        return `❌ 無效的編號。請輸入 1 到 ${watches.length} 之間的數字`;
+      }
+
+      const watch = watches[watchNumber - 1];
+      await this.firebaseService.deleteWatch(userId, watch.id);
+
+      return `✅ 已取消關注：${watch.lastKnown?.name || watch.name || watch.partNumber}`;
+    } catch (error) {
+      console.error("取消關注錯誤:", error);
+      return "❌ 取消關注失敗，請稍後再試";
+    }
+  }
+
   getHelpMessage() {
     const activeProviders = this.notificationManager.getActiveProviderNames();
     const liffId = process.env.LINE_LIFF_ID;
@@ -794,8 +2033,12 @@ class AppleTracker {
       `• /add - 設定個人追蹤規則\n` +
       `• /delete - 刪除追蹤規則\n` +
       `• /delete 1 - 刪除第1個規則\n` +
+      `• /watch 產品網址或型號 - 關注特定產品（也可直接貼上產品連結）\n` +
+      `• /watches - 查看關注的產品\n` +
+      `• /unwatch 1 - 取消關注第1個產品\n` +
       `• /test - 測試Bot連接\n` +
       `• /test-summary - 測試每日摘要功能\n` +
+      `（/start、/stop、/test-summary、/force-summary 僅限管理員）\n` +
       `• /help - 顯示此訊息\n\n` +
       `📤 啟用通知方式: ${activeProviders.join(", ")}\n\n` +
       (liffId
@@ -804,252 +2047,814 @@ class AppleTracker {
     );
   }
 
-  async scrapeProducts() {
-    const page = await this.browser.newPage();
+  async scrapeProducts(regions = [DEFAULT_REGION]) {
+    const { products } = await this.scrapeProductsWithOutcomes(regions);
+    return products;
+  }
 
+  // 回傳 { products, outcomes }，outcomes 為每個分類網址的爬取結果
+  async scrapeProductsWithOutcomes(regions = [DEFAULT_REGION]) {
     try {
-      const urls = [
-        "https://www.apple.com/tw/shop/refurbished/mac",
-        "https://www.apple.com/tw/shop/refurbished/ipad",
-        "https://www.apple.com/tw/shop/refurbished/appletv",
-      ];
+      const targets = [];
+      for (const regionCode of regions) {
+        const region = getRegion(regionCode);
+        if (!region) continue;
+
+        for (const category of CATEGORIES) {
+          targets.push({
+            url: getCategoryUrl(regionCode, category.slug),
+            region,
+            category: category.name,
+          });
+        }
+      }
 
-      let allProducts = [];
+      const { products, outcomes } = await this.scrapeListings(targets);
+      const scrapedProducts = products.map((product) => ({
+        ...product,
+        partNumber: product.partNumber || extractPartNumber(product.url),
+      }));
 
-      for (const url of urls) {
-        try {
-          await page.goto(url, { waitUntil: "networkidle2" });
-          await new Promise((resolve) => setTimeout(resolve, 2000));
+      // 同一產品可能同時出現在分類頁與配件頁，只保留第一次出現的
+      const seenKeys = new Set();
+      const allProducts = scrapedProducts.filter((product) => {
+        const key = getProductKey(product);
+        if (seenKeys.has(key)) return false;
+        seenKeys.add(key);
+        return true;
+      });
 
-          const products = await page.evaluate((currentUrl) => {
-            const productData = [];
+      const productsWithSpecs = allProducts.map((product) => ({
+        ...product,
+        ...this.parsePriceInfo(product),
+        specs: this.parseSpecs(
+          product.name,
+          product.description,
+          product.category
+        ),
+      }));
 
-            const links = document.querySelectorAll(
-              'a[href*="/shop/product/"]'
-            );
+      const failedCount = outcomes.filter((o) => o.status === "failed").length;
+      if (failedCount > 0) {
+        console.warn(`⚠️ ${failedCount}/${outcomes.length} 個分類頁爬取失敗`);
+      }
 
-            const refurbishedLinks = Array.from(links).filter((a) => {
-              const href = a.href.toLowerCase();
-              const text = a.textContent.toLowerCase();
+      return { products: productsWithSpecs, outcomes };
+    } catch (error) {
+      console.error("爬取錯誤:", error);
+      return { products: [], outcomes: [] };
+    }
+  }
 
-              const isRefurbished =
-                href.includes("refurbished") ||
-                text.includes("整修品") ||
-                text.includes("整修");
+  getScraper() {
+    return (
+      this.scrapers[this.config.scraperConfig?.backend] ||
+      this.scrapers.puppeteer
+    );
+  }
 
-              if (isRefurbished && text.trim().length > 0) {
-                return true;
-              }
-              return false;
-            });
+  // 依設定選擇爬取方式，HTTP 模式取不到任何產品時自動改用 Puppeteer
+  async scrapeListings(targets) {
+    const scraper = this.getScraper();
+    const result = await scraper.scrapeListings(targets);
 
-            refurbishedLinks.forEach((link, index) => {
-              try {
-                const name = link.textContent.trim();
-
-                let price = "";
-                let currentElement = link.parentElement;
-                let searchDepth = 0;
-
-                while (currentElement && searchDepth < 6) {
-                  const containerText = currentElement.textContent || "";
-                  const priceMatch = containerText.match(/NT\$[\d,]+/);
-                  if (priceMatch) {
-                    price = priceMatch[0];
-                    break;
-                  }
-                  currentElement = currentElement.parentElement;
-                  searchDepth++;
-                }
-
-                let image = "";
-                const parentContainer = link.closest("div");
-                if (parentContainer) {
-                  const imgElement = parentContainer.querySelector("img");
-                  if (imgElement) {
-                    image =
-                      imgElement.src ||
-                      imgElement.getAttribute("data-src") ||
-                      "";
-                  }
-                }
-
-                if (name.length > 0) {
-                  productData.push({
-                    name: name,
-                    price: price || "價格未找到",
-                    image: image || "",
-                    description: name,
-                    url: link.href,
-                    category: currentUrl.includes("/mac")
-                      ? "Mac"
-                      : currentUrl.includes("/ipad")
-                      ? "iPad"
-                      : currentUrl.includes("/appletv")
-                      ? "Apple TV"
-                      : "Other",
-                  });
-                }
-              } catch (e) {}
-            });
+    if (result.products.length > 0 || scraper === this.scrapers.puppeteer) {
+      return result;
+    }
+
+    console.log("⚠️ HTTP 爬取沒有取得任何產品，改用 Puppeteer");
+    const fallback = await this.scrapers.puppeteer.scrapeListings(targets);
+    return {
+      products: fallback.products,
+      outcomes: [...result.outcomes, ...fallback.outcomes],
+    };
+  }
 
-            return productData;
-          }, url);
+  parseSpecs(name, description, category) {
+    const normalizedName = name ? name.replace(/\u00A0/g, " ") : "";
+    const normalizedDescription = description
+      ? description.replace(/\u00A0/g, " ")
+      : "";
 
-          allProducts = allProducts.concat(products);
-        } catch (error) {
-          console.error(`爬取 ${url} 失敗:`, error.message);
+    const specs = {
+      screenSize: null,
+      chip: null,
+      memory: null,
+      storage: null,
+      color: null,
+      productType: null,
+      category: category || "Other",
+    };
+
+    if (normalizedName.includes("MacBook Air"))
+      specs.productType = "MacBook Air";
+    else if (normalizedName.includes("MacBook Pro"))
+      specs.productType = "MacBook Pro";
+    else if (normalizedName.includes("Mac Studio"))
+      specs.productType = "Mac Studio";
+    else if (normalizedName.includes("Mac mini"))
+      specs.productType = "Mac mini";
+    else if (normalizedName.includes("iMac")) specs.productType = "iMac";
+    else if (normalizedName.includes("iPad Pro"))
+      specs.productType = "iPad Pro";
+    else if (normalizedName.includes("iPad Air"))
+      specs.productType = "iPad Air";
+    else if (normalizedName.includes("iPad mini"))
+      specs.productType = "iPad mini";
+    else if (normalizedName.includes("iPad")) specs.productType = "iPad";
+    else if (normalizedName.includes("Apple TV"))
+      specs.productType = "Apple TV";
+    else if (normalizedName.includes("iPhone")) specs.productType = "iPhone";
+    else if (normalizedName.includes("Apple Watch Ultra"))
+      specs.productType = "Apple Watch Ultra";
+    else if (normalizedName.includes("Apple Watch SE"))
+      specs.productType = "Apple Watch SE";
+    else if (normalizedName.includes("Apple Watch"))
+      specs.productType = "Apple Watch Series";
+    else if (normalizedName.includes("AirPods Max"))
+      specs.productType = "AirPods Max";
+    else if (normalizedName.includes("AirPods Pro"))
+      specs.productType = "AirPods Pro";
+    else if (normalizedName.includes("AirPods")) specs.productType = "AirPods";
+    else if (normalizedName.includes("HomePod mini"))
+      specs.productType = "HomePod mini";
+    else if (normalizedName.includes("HomePod")) specs.productType = "HomePod";
+
+    // 配件名稱常帶有適用機型（例如 iPad 巧控鍵盤），只保留 AirPods / HomePod
+    if (
+      category === "Accessories" &&
+      !/^(AirPods|HomePod)/.test(specs.productType || "")
+    ) {
+      specs.productType = null;
+    }
+
+    // 螢幕尺寸統一以「吋」表示（吋 / 英吋 / インチ / inch）
+    const sizeMatch = normalizedName.match(
+      /(\d+(?:\.\d+)?)\s*(?:英?吋|インチ|-?\s*inch)/i
+    );
+    if (sizeMatch) specs.screenSize = sizeMatch[1] + "吋";
+
+    const chipPatterns = [
+      /Apple (M\d+(?:\s+(?:Pro|Max|Ultra))?)/,
+      /(M\d+(?:\s+(?:Pro|Max|Ultra))?)\s*(?:晶片|チップ|chip)/i,
+      /(M\d+(?:\s+(?:Pro|Max|Ultra))?)/,
+    ];
+
+    for (const pattern of chipPatterns) {
+      const chipMatch =
+        normalizedName.match(pattern) || normalizedDescription.match(pattern);
+      if (chipMatch) {
+        specs.chip = chipMatch[1]
+          .replace("Apple ", "")
+          .replace("晶片", "")
+          .trim();
+        break;
+      }
+    }
+
+    const memoryPatterns = [
+      /(\d+)GB\s*統一記憶體/,
+      /(\d+)GB\s*記憶體/,
+      /(\d+)\s*GB\s*(?:unified memory|memory|ユニファイドメモリ|メモリ)/i,
+    ];
+
+    for (const pattern of memoryPatterns) {
+      const memoryMatch =
+        normalizedDescription.match(pattern) || normalizedName.match(pattern);
+      if (memoryMatch) {
+        specs.memory = memoryMatch[1] + "GB";
+        break;
+      }
+    }
+
+    const storagePatterns = [
+      /(\d+(?:\.\d+)?)TB/,
+      /(\d+)\s*GB\s*(?:SSD|storage|ストレージ)/i,
+      /(\d+)GB.*SSD/,
+      /(\d+)GB\s*儲存/,
+    ];
+
+    for (const pattern of storagePatterns) {
+      const storageMatch =
+        normalizedDescription.match(pattern) || normalizedName.match(pattern);
+      if (storageMatch) {
+        if (pattern.toString().includes("TB")) {
+          specs.storage = storageMatch[1] + "TB";
+        } else {
+          specs.storage = storageMatch[1] + "GB";
         }
+        break;
       }
+    }
 
-      const productsWithSpecs = allProducts.map((product) => ({
-        ...product,
-        specs: this.parseSpecs(
-          product.name,
-          product.description,
-          product.category
-        ),
-      }));
+    // 沒有標示用途的容量：Mac 視為統一記憶體，iPad / iPhone 等產品名稱只標示儲存空間
+    const hasUnifiedMemory =
+      specs.category === "Mac" || /Mac/.test(specs.productType || "");
+    if (hasUnifiedMemory ? !specs.memory : !specs.memory && !specs.storage) {
+      const capacityMatch =
+        normalizedDescription.match(/(\d+)\s*GB/) ||
+        normalizedName.match(/(\d+)\s*GB/);
+      if (capacityMatch) {
+        specs[hasUnifiedMemory ? "memory" : "storage"] = capacityMatch[1] + "GB";
+      }
+    }
+
+    // 各語系顏色名稱對應回統一的中文顏色
+    for (const [color, aliases] of Object.entries(COLOR_NAMES)) {
+      if (
+        aliases.some((alias) =>
+          normalizedName.toLowerCase().includes(alias.toLowerCase())
+        )
+      ) {
+        specs.color = color;
+        break;
+      }
+    }
+
+    this.parseCategorySpecs(specs, normalizedName);
+
+    return specs;
+  }
+
+  // iPhone、Apple Watch、AirPods 等非電腦產品的專屬規格
+  parseCategorySpecs(specs, name) {
+    const productType = specs.productType || "";
+
+    if (
+      productType === "iPhone" ||
+      productType.startsWith("Apple Watch") ||
+      productType.startsWith("AirPods") ||
+      productType.startsWith("HomePod") ||
+      productType === "Apple TV"
+    ) {
+      // 這些產品名稱中的 GB 是儲存容量，不是記憶體
+      specs.memory = null;
+    }
+
+    if (productType === "iPhone") {
+      const modelMatch = name.match(
+        /iPhone\s*(\d+|SE|XS|XR)(?:\s*(Pro Max|Pro|Plus|mini))?/i
+      );
+      specs.model = modelMatch
+        ? `iPhone ${modelMatch[1]}${modelMatch[2] ? ` ${modelMatch[2]}` : ""}`
+        : null;
+
+      const capacityMatch = name.match(/(\d+)\s*(GB|TB)/i);
+      specs.capacity = capacityMatch
+        ? capacityMatch[1] + capacityMatch[2].toUpperCase()
+        : null;
+      specs.storage = specs.capacity;
+    }
+
+    if (productType.startsWith("Apple Watch")) {
+      const modelMatch = name.match(/(Series\s*\d+|Ultra\s*\d*|SE)/i);
+      specs.model = modelMatch ? modelMatch[1].trim() : null;
+
+      const caseSizeMatch = name.match(/(\d{2})\s*(?:mm|公釐|毫米|ミリ)/i);
+      specs.caseSize = caseSizeMatch ? caseSizeMatch[1] + "mm" : null;
+
+      const caseMaterials = [
+        ["鋁金屬", /鋁|alumin(?:i)?um|アルミニウム/i],
+        ["不鏽鋼", /不鏽鋼|不銹鋼|stainless steel|ステンレス/i],
+        ["鈦金屬", /鈦|titanium|チタン/i],
+      ];
+      specs.caseMaterial = null;
+      for (const [material, pattern] of caseMaterials) {
+        if (pattern.test(name)) {
+          specs.caseMaterial = material;
+          break;
+        }
+      }
+
+      specs.cellular = /行動網路|流動網絡|cellular|セルラー/i.test(name);
+    }
+
+    if (productType.startsWith("AirPods")) {
+      const generationMatch = name.match(
+        /第\s*(\d+)\s*(?:代|世代)|(\d+)(?:st|nd|rd|th)\s*generation|AirPods(?:\s+(?:Pro|Max))?\s+(\d+)\b/i
+      );
+      specs.generation = generationMatch
+        ? parseInt(generationMatch[1] || generationMatch[2] || generationMatch[3])
+        : null;
+    }
+
+    return specs;
+  }
+
+  // 產品頁規格擷取：只開啟尚未出現在歷史記錄中的新產品頁面，結果快取於 products 集合
+  async enrichProductDetails(products) {
+    if (
+      !this.config.scraperConfig?.detailPages ||
+      !this.firebaseService.initialized
+    ) {
+      return products;
+    }
+
+    try {
+      const previousProducts = await this.firebaseService.getProductHistory();
+      const newProducts = [];
+
+      for (const product of products) {
+        const cached = previousProducts.get(getProductKey(product));
+
+        if (cached) {
+          if (cached.detailSpecs) {
+            this.applyDetailSpecs(product, cached.detailSpecs);
+          }
+          continue;
+        }
+
+        newProducts.push(product);
+      }
+
+      if (newProducts.length === 0) {
+        return products;
+      }
+
+      const detailTexts = await this.getScraper().fetchDetailTexts(
+        newProducts.map((product) => product.url)
+      );
+
+      for (const product of newProducts) {
+        const detailText = detailTexts.get(product.url);
+        if (!detailText) continue;
+
+        this.applyDetailSpecs(
+          product,
+          this.parseTechSpecs(detailText, product.category)
+        );
+      }
+
+      console.log(`📄 已擷取 ${detailTexts.size} 個新產品的產品頁規格`);
+    } catch (error) {
+      console.error("產品頁規格擷取失敗:", error.message);
+    }
+
+    return products;
+  }
+
+  // 解析產品頁技術規格區塊
+  parseTechSpecs(text, category) {
+    const normalizedText = text.replace(/\u00A0/g, " ").replace(/\u2011/g, "-");
+    const lines = normalizedText
+      .split("\n")
+      .map((line) => line.trim())
+      .filter((line) => line.length > 0);
+
+    // 晶片、記憶體、儲存空間沿用列表名稱的解析規則
+    const { chip, memory, storage } = this.parseSpecs(
+      normalizedText,
+      normalizedText,
+      category
+    );
+
+    const detailSpecs = {
+      chip,
+      // 沒有記憶體字樣時不採用，避免把儲存容量誤判為記憶體
+      memory: /記憶體|memory|メモリ/i.test(normalizedText) ? memory : null,
+      storage,
+      cpuCores: null,
+      gpuCores: null,
+      releaseYear: null,
+      keyboardLayout: null,
+      nanoTexture: /nano-texture|奈米紋理|ナノテクスチャ/i.test(normalizedText),
+      connectivity: null,
+      techSpecs: lines.slice(0, 150),
+    };
+
+    const cpuMatch = normalizedText.match(
+      /(\d+)\s*(?:核心|-?\s*core|コア)\s*CPU/i
+    );
+    if (cpuMatch) detailSpecs.cpuCores = parseInt(cpuMatch[1]);
+
+    const gpuMatch = normalizedText.match(
+      /(\d+)\s*(?:核心|-?\s*core|コア)\s*GPU/i
+    );
+    if (gpuMatch) detailSpecs.gpuCores = parseInt(gpuMatch[1]);
+
+    const yearMatch = normalizedText.match(
+      /(?:最初發表|最初推出|Originally released|発売|発表)[^\d\n]{0,20}(\d{4})/i
+    );
+    if (yearMatch) detailSpecs.releaseYear = parseInt(yearMatch[1]);
+
+    const keyboardLayouts = [
+      ["中文 (注音)", /注音|Zhuyin/i],
+      ["中文 (倉頡)", /倉頡|Cangjie/i],
+      ["中文 (拼音)", /拼音|Pinyin/i],
+      ["日文 (JIS)", /JIS|日本語/i],
+      ["英文 (英式)", /British English|英式英文/i],
+      ["英文 (美式)", /US English|美式英文|英語（US）/i],
+    ];
+    const keyboardLines = lines.filter((line) =>
+      /鍵盤|keyboard|キーボード/i.test(line)
+    );
+    for (const [layout, pattern] of keyboardLayouts) {
+      if (keyboardLines.some((line) => pattern.test(line))) {
+        detailSpecs.keyboardLayout = layout;
+        break;
+      }
+    }
+
+    if (category === "iPad") {
+      detailSpecs.connectivity = /Cellular|行動網路|流動網絡|セルラー/i.test(
+        normalizedText
+      )
+        ? "Wi-Fi + Cellular"
+        : "Wi-Fi";
+    }
+
+    return detailSpecs;
+  }
+
+  applyDetailSpecs(product, detailSpecs) {
+    product.detailSpecs = detailSpecs;
+
+    // 產品頁規格比列表名稱完整，有值的欄位覆蓋列表解析結果
+    const { techSpecs, ...fields } = detailSpecs;
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== null && value !== undefined) {
+        product.specs[key] = value;
+      }
+    }
+  }
+
+  // 解析各地區價格字串，例如 NT$35,900、$1,299.00、¥148,800
+  parsePrice(priceText) {
+    if (!priceText) return null;
+
+    const match = priceText.replace(/\s/g, "").match(/\d[\d,]*(?:\.\d+)?/);
+    if (!match) return null;
+
+    return parseFloat(match[0].replace(/,/g, ""));
+  }
 
-      return productsWithSpecs;
-    } catch (error) {
-      console.error("爬取錯誤:", error);
-      return [];
-    } finally {
-      await page.close();
+  // 數值化的價格資訊；找不到價格時 priceValue 為 null
+  parsePriceInfo(product) {
+    const region = getRegion(product.region || DEFAULT_REGION);
+    const priceValue = this.parsePrice(product.price);
+    const originalPriceValue = this.parsePrice(product.originalPrice);
+
+    const savingsPercent =
+      priceValue !== null &&
+      originalPriceValue !== null &&
+      originalPriceValue > priceValue
+        ? Math.round((1 - priceValue / originalPriceValue) * 100)
+        : null;
+
+    return {
+      priceValue,
+      currency: region ? region.currency : null,
+      originalPriceValue,
+      savingsPercent,
+    };
+  }
+
+  getPriceValue(product) {
+    // 舊快照中的產品沒有 priceValue，改從價格字串解析
+    return product.priceValue !== undefined
+      ? product.priceValue
+      : this.parsePrice(product.price);
+  }
+
+  formatPriceText(product) {
+    if (this.getPriceValue(product) === null) {
+      return "價格未找到";
+    }
+
+    let text = product.price;
+    if (product.savingsPercent) {
+      text += `（省 ${product.savingsPercent}%，原價 ${product.originalPrice}）`;
     }
+    return text;
   }
 
-  parseSpecs(name, description, category) {
-    const normalizedName = name ? name.replace(/\u00A0/g, " ") : "";
-    const normalizedDescription = description
-      ? description.replace(/\u00A0/g, " ")
-      : "";
+  // 目前庫存：Firebase 中仍在架上的產品，未連接時即時爬取
+  // 不再追蹤的地區不會被標記為下架，只回傳指定地區的產品
+  async getInventory(regions) {
+    return this.firebaseService.initialized
+      ? Array.from(
+          (await this.firebaseService.getProductHistory()).values()
+        ).filter(
+          (product) =>
+            product.status !== "gone" &&
+            regions.includes(product.region || DEFAULT_REGION)
+        )
+      : await this.scrapeProducts(regions);
+  }
 
-    const specs = {
-      screenSize: null,
-      chip: null,
-      memory: null,
-      storage: null,
-      color: null,
-      productType: null,
-      category: category || "Other",
-    };
+  async previewRule(filters, days = 30) {
+    const inventory = await this.attachDeals(
+      await this.getInventory(getRuleRegions(filters))
+    );
+    const currentMatches = this.filterProducts(inventory, filters);
 
-    if (normalizedName.includes("MacBook Air"))
-      specs.productType = "MacBook Air";
-    else if (normalizedName.includes("MacBook Pro"))
-      specs.productType = "MacBook Pro";
-    else if (normalizedName.includes("Mac Studio"))
-      specs.productType = "Mac Studio";
-    else if (normalizedName.includes("Mac mini"))
-      specs.productType = "Mac mini";
-    else if (normalizedName.includes("iMac")) specs.productType = "iMac";
-    else if (normalizedName.includes("iPad Pro"))
-      specs.productType = "iPad Pro";
-    else if (normalizedName.includes("iPad Air"))
-      specs.productType = "iPad Air";
-    else if (normalizedName.includes("iPad mini"))
-      specs.productType = "iPad mini";
-    else if (normalizedName.includes("iPad")) specs.productType = "iPad";
-    else if (normalizedName.includes("Apple TV"))
-      specs.productType = "Apple TV";
+    return {
+      matchesNow: {
+        count: currentMatches.length,
+        products: currentMatches.map((product) =>
+          this.toPreviewProduct(product)
+        ),
+      },
+      backtest: await this.backtestRule(filters, days),
+    };
+  }
 
-    const sizeMatch = normalizedName.match(/(\d+)\s*吋/);
-    if (sizeMatch) specs.screenSize = sizeMatch[1] + "吋";
+  // 依每日快照模擬：快照中新出現且符合規則的產品，視為當天會收到的通知
+  async backtestRule(filters, days = 30) {
+    const result = {
+      days,
+      snapshotCount: 0,
+      alertCount: 0,
+      productCount: 0,
+      alerts: [],
+    };
+    if (!this.firebaseService.initialized) return result;
 
-    const chipPatterns = [
-      /Apple (M\d+(?:\s+(?:Pro|Max|Ultra))?)/,
-      /(M\d+(?:\s+(?:Pro|Max|Ultra))?)\s*晶片/,
-      /(M\d+(?:\s+(?:Pro|Max|Ultra))?)/,
-    ];
+    // 多取一天作為比較基準，基準當天本身不計入通知
+    const since = new Date();
+    since.setDate(since.getDate() - days - 1);
+    const snapshots = await this.firebaseService.getSnapshotsSince(since);
+    result.snapshotCount = Math.max(snapshots.length - 1, 0);
 
-    for (const pattern of chipPatterns) {
-      const chipMatch =
-        normalizedName.match(pattern) || normalizedDescription.match(pattern);
-      if (chipMatch) {
-        specs.chip = chipMatch[1]
-          .replace("Apple ", "")
-          .replace("晶片", "")
-          .trim();
-        break;
+    for (let i = 1; i < snapshots.length; i++) {
+      const previousKeys = new Set(
+        (snapshots[i - 1].products || []).map((p) => getProductKey(p))
+      );
+      // 以當天的所有產品評分，「價值前 N%」條件才能比較
+      const appeared = (
+        await this.attachDeals(snapshots[i].products || [])
+      ).filter((p) => !previousKeys.has(getProductKey(p)));
+      const matches = this.filterProducts(appeared, filters);
+
+      if (matches.length > 0) {
+        result.alerts.push({
+          date: snapshots[i].date,
+          products: matches.map((product) => this.toPreviewProduct(product)),
+        });
+        result.productCount += matches.length;
       }
     }
 
-    const memoryPatterns = [
-      /(\d+)GB\s*統一記憶體/,
-      /(\d+)GB\s*記憶體/,
-      /(\d+)\s*GB/,
-    ];
+    result.alertCount = result.alerts.length;
+    return result;
+  }
 
-    for (const pattern of memoryPatterns) {
-      const memoryMatch =
-        normalizedDescription.match(pattern) || normalizedName.match(pattern);
-      if (memoryMatch) {
-        specs.memory = memoryMatch[1] + "GB";
-        break;
-      }
-    }
+  toPreviewProduct(product) {
+    return {
+      id: getProductId(getProductKey(product)),
+      name: product.name,
+      price: product.price,
+      priceValue: this.getPriceValue(product),
+      savingsPercent: product.savingsPercent ?? null,
+      originalPrice: product.originalPrice || "",
+      region: product.region || DEFAULT_REGION,
+      url: product.url,
+      image: product.image || "",
+      specs: product.specs || {},
+      deal: product.deal || null,
+    };
+  }
 
-    const storagePatterns = [
-      /(\d+(?:\.\d+)?)TB/,
-      /(\d+)GB.*SSD/,
-      /(\d+)GB\s*儲存/,
-    ];
+  // 以最近的每日快照建立各配置的歷史價格，快取一段時間避免每次追蹤都讀取
+  async getDealPriceHistory() {
+    if (!this.firebaseService.initialized) return new Map();
+    if (
+      this.dealHistoryCache &&
+      Date.now() - this.dealHistoryCache.loadedAt < DEAL_HISTORY_TTL_MS
+    ) {
+      return this.dealHistoryCache.history;
+    }
 
-    for (const pattern of storagePatterns) {
-      const storageMatch =
-        normalizedDescription.match(pattern) || normalizedName.match(pattern);
-      if (storageMatch) {
-        if (pattern.toString().includes("TB")) {
-          specs.storage = storageMatch[1] + "TB";
-        } else {
-          specs.storage = storageMatch[1] + "GB";
-        }
-        break;
-      }
+    // 長期的價格取自市場統計，尚未彙整的快照（通常只有今天）另外讀取
+    const { history, lastRolledUpDate } =
+      await this.marketAnalytics.getPriceSamples();
+    const since = lastRolledUpDate
+      ? new Date(`${lastRolledUpDate}T00:00:00Z`)
+      : new Date(Date.now() - DEAL_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    const snapshots = (
+      await this.firebaseService.getSnapshotsSince(since)
+    ).filter((snapshot) => !lastRolledUpDate || snapshot.date > lastRolledUpDate);
+    const recentHistory = buildPriceHistory(
+      snapshots.flatMap((snapshot) =>
+        (snapshot.products || []).map((product) =>
+          this.toScoringProduct(product)
+        )
+      )
+    );
+    for (const [key, prices] of recentHistory) {
+      history.set(key, [...(history.get(key) || []), ...prices]);
     }
 
-    const colors = [
-      "銀色",
-      "太空灰色",
-      "太空黑色",
-      "星光色",
-      "午夜色",
-      "天藍色",
-    ];
-    for (const color of colors) {
-      if (normalizedName.includes(color)) {
-        specs.color = color;
-        break;
-      }
+    this.dealHistoryCache = { loadedAt: Date.now(), history };
+    return history;
+  }
+
+  // 舊快照中的產品可能沒有規格與數值價格
+  toScoringProduct(product) {
+    return {
+      ...product,
+      region: product.region || DEFAULT_REGION,
+      priceValue: this.getPriceValue(product),
+      specs:
+        product.specs ||
+        this.parseSpecs(product.name, product.description, product.category),
+    };
+  }
+
+  // 回傳 Map(url => 價值評分)
+  async scoreProducts(products) {
+    try {
+      return scoreDeals(
+        products.map((product) => this.toScoringProduct(product)),
+        await this.getDealPriceHistory()
+      );
+    } catch (error) {
+      console.error("計算產品價值評分失敗:", error.message);
+      return new Map();
     }
+  }
 
-    return specs;
+  async attachDeals(products) {
+    const deals = await this.scoreProducts(products);
+    return products.map((product) => ({
+      ...product,
+      deal: deals.get(product.url) || null,
+    }));
+  }
+
+  // 依價值評分排序目前庫存，排名以所有地區、所有產品計算
+  async getRankedDeals({ region, productType, limit = 50 } = {}) {
+    const inventory = await this.attachDeals(
+      await this.getInventory(region ? [region] : this.trackedRegions)
+    );
+    const ranked = inventory
+      .filter((product) => product.deal?.rank)
+      .filter(
+        (product) =>
+          !productType ||
+          this.toScoringProduct(product).specs.productType === productType
+      )
+      .sort((a, b) => a.deal.rank - b.deal.rank);
+
+    return {
+      total: ranked.length,
+      products: ranked
+        .slice(0, limit)
+        .map((product) => this.toPreviewProduct(product)),
+    };
+  }
+
+  // 規則條件可為單一值或清單，統一轉為清單
+  toFilterList(value) {
+    if (value === undefined || value === null || value === "") return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  // 「M3 Pro」→ 3，無法辨識時回傳 null
+  getChipGeneration(chip) {
+    const match = (chip || "").match(/^M(\d+)/);
+    return match ? parseInt(match[1]) : null;
+  }
+
+  // 儲存空間統一換算為 GB（1TB = 1024GB）
+  parseStorageGB(storage) {
+    const match = (storage || "").match(/(\d+(?:\.\d+)?)\s*(TB|GB)/i);
+    if (!match) return null;
+    const value = parseFloat(match[1]);
+    return match[2].toUpperCase() === "TB" ? value * 1024 : value;
   }
 
   filterProducts(products, filters) {
-    return products.filter((product) => {
-      const specs = product.specs;
+    return products.filter((product) => this.matchesFilters(product, filters));
+  }
 
-      if (filters.productType && specs.productType !== filters.productType)
+  matchesFilters(product, filters) {
+    const regions = getRuleRegions(filters);
+    const specs = product.specs || {}; // 舊快照中的產品可能沒有規格
+
+    if (!regions.includes(product.region || DEFAULT_REGION)) return false;
+    // 沒有足夠資料評分的產品不符合「價值前 N%」條件
+    if (
+      filters.topValuePercent &&
+      !(product.deal?.topPercent <= filters.topValuePercent)
+    )
+      return false;
+    // 無法辨識產品類型的產品歸類為「其他」
+    if (
+      filters.productType &&
+      (specs.productType || "Other") !== filters.productType
+    )
+      return false;
+    // chip / color 為舊版的單一值，chips / colors 為可複選的清單
+    const allowedChips = [
+      ...this.toFilterList(filters.chip),
+      ...this.toFilterList(filters.chips),
+    ];
+    if (allowedChips.length > 0 && !allowedChips.includes(specs.chip))
+      return false;
+    const allowedColors = [
+      ...this.toFilterList(filters.color),
+      ...this.toFilterList(filters.colors),
+    ];
+    if (allowedColors.length > 0 && !allowedColors.includes(specs.color))
+      return false;
+    if (
+      filters.minChipGeneration &&
+      !(this.getChipGeneration(specs.chip) >= filters.minChipGeneration)
+    )
+      return false;
+
+    if (filters.minMemory) {
+      const productMemory = parseInt(specs.memory);
+      if (isNaN(productMemory) || productMemory < filters.minMemory)
         return false;
-      if (filters.chip && specs.chip !== filters.chip) return false;
-      if (filters.color && specs.color !== filters.color) return false;
-
-      if (filters.minMemory) {
-        const productMemory = parseInt(specs.memory);
-        if (isNaN(productMemory) || productMemory < filters.minMemory)
-          return false;
-      }
+    }
 
-      if (filters.maxPrice) {
-        const price = parseInt(product.price?.replace(/[^\d]/g, "") || "0");
-        if (price > filters.maxPrice) return false;
-      }
+    if (filters.minStorage) {
+      const productStorage = this.parseStorageGB(specs.storage);
+      if (productStorage === null || productStorage < filters.minStorage)
+        return false;
+    }
 
-      return true;
-    });
+    const screenSizes = this.toFilterList(filters.screenSize).map(parseFloat);
+    if (
+      screenSizes.length > 0 &&
+      !screenSizes.includes(parseFloat(specs.screenSize))
+    )
+      return false;
+
+    // 沒有價格的產品不符合任何價格條件
+    const price = this.getPriceValue(product);
+    if (filters.maxPrice && (price === null || price > filters.maxPrice))
+      return false;
+    if (filters.minPrice && (price === null || price < filters.minPrice))
+      return false;
+    if (
+      filters.minDiscount &&
+      !(product.savingsPercent >= filters.minDiscount)
+    )
+      return false;
+
+    // 以下條件需要產品頁規格，缺少資料的產品不視為符合
+    if (filters.minCpuCores && !(specs.cpuCores >= filters.minCpuCores))
+      return false;
+    if (filters.minGpuCores && !(specs.gpuCores >= filters.minGpuCores))
+      return false;
+    if (
+      filters.minReleaseYear &&
+      !(specs.releaseYear >= filters.minReleaseYear)
+    )
+      return false;
+    if (
+      filters.keyboardLayout &&
+      !specs.keyboardLayout?.includes(filters.keyboardLayout)
+    )
+      return false;
+    if (
+      filters.nanoTexture !== undefined &&
+      Boolean(specs.nanoTexture) !== filters.nanoTexture
+    )
+      return false;
+    if (filters.connectivity && specs.connectivity !== filters.connectivity)
+      return false;
+
+    if (filters.capacity && specs.capacity !== filters.capacity) return false;
+    if (filters.caseSize && specs.caseSize !== filters.caseSize) return false;
+    if (filters.caseMaterial && specs.caseMaterial !== filters.caseMaterial)
+      return false;
+    if (
+      filters.cellular !== undefined &&
+      Boolean(specs.cellular) !== filters.cellular
+    )
+      return false;
+    if (
+      filters.minGeneration &&
+      !(specs.generation >= filters.minGeneration)
+    )
+      return false;
+
+    // 名稱關鍵字：包含的關鍵字都要出現，排除的關鍵字都不能出現
+    const name = (product.name || "").toLowerCase();
+    const includeKeywords = this.toFilterList(filters.includeKeywords);
+    if (!includeKeywords.every((k) => name.includes(k.toLowerCase())))
+      return false;
+    const excludeKeywords = this.toFilterList(filters.excludeKeywords);
+    if (excludeKeywords.some((k) => name.includes(k.toLowerCase())))
+      return false;
+
+    // 運算式中的簡易條件未指定地區時，不另外限制地區
+    if (
+      filters.expression &&
+      !evaluateExpression(filters.expression, product, (p, nestedFilters) =>
+        this.matchesFilters(p, {
+          regions: [p.region || DEFAULT_REGION],
+          ...nestedFilters,
+        })
+      )
+    )
+      return false;
+
+    return true;
   }
 
   async startTracking() {
@@ -1096,52 +2901,210 @@ class AppleTracker {
     try {
       const startTime = Date.now();
 
-      const allProducts = await this.scrapeProducts();
+      const activeUsers = this.firebaseService.initialized
+        ? await this.firebaseService.getActiveUsers()
+        : [];
+      const userRulesMap = new Map();
+      const userWatchesMap = new Map();
+      for (const user of activeUsers) {
+        userRulesMap.set(
+          user.lineUserId,
+          await this.firebaseService.getUserTrackingRules(user.lineUserId)
+        );
+        userWatchesMap.set(
+          user.lineUserId,
+          await this.firebaseService.getUserWatches(user.lineUserId)
+        );
+      }
+
+      // 只爬取有規則追蹤或有關注產品的地區商店
+      const regions = this.getTrackedRegions(
+        Array.from(userRulesMap.values()).flat(),
+        Array.from(userWatchesMap.values()).flat()
+      );
+      this.trackedRegions = regions;
+      const { products: allProducts, outcomes: scrapeOutcomes } =
+        await this.scrapeProductsWithOutcomes(regions);
+      const scrapeHealth = await this.checkScrapeHealth(allProducts, regions);
+      await this.enrichProductDetails(allProducts);
+
+      const changes = await this.detectProductChanges(allProducts);
+      const { newProducts, restockedProducts } = changes;
+      if (scrapeHealth?.status === "degraded") {
+        // 爬取結果不完整時不標記下架，避免之後誤報補貨
+        changes.goneProductKeys = [];
+      }
 
-      const newProducts = await this.detectNewProducts(allProducts);
+      const watchAlerts = await this.checkProductWatches(
+        activeUsers,
+        userWatchesMap,
+        allProducts,
+        { skipGone: scrapeHealth?.status === "degraded" }
+      );
 
-      if (newProducts.length === 0) {
-        if (this.firebaseService.initialized) {
-          await this.firebaseService.saveProductHistory(allProducts);
-          await this.saveDailySnapshotIfNeeded(allProducts);
-        }
+      // 價值評分只附加在通知用的產品上，不寫入產品歷史
+      const deals = await this.scoreProducts(allProducts);
+      const withDeal = (product) => ({
+        ...product,
+        deal: deals.get(product.url) || null,
+      });
+
+      const eventProducts = [
+        ...newProducts.map((product) => ({
+          ...withDeal(product),
+          eventType: "new",
+        })),
+        ...restockedProducts.map((product) => ({
+          ...withDeal(product),
+          eventType: "restock",
+        })),
+      ];
+
+      // 補貨已另外通知，不再重複通知同一產品的價格或名稱變動
+      const restockedUrls = new Set(restockedProducts.map((p) => p.url));
+      const priceDropProducts = changes.priceChanges
+        .filter(
+          (p) =>
+            p.priceChange.direction === "drop" && !restockedUrls.has(p.url)
+        )
+        .map((product) => ({ ...withDeal(product), eventType: "price_drop" }));
+      const priceIncreaseProducts = changes.priceChanges
+        .filter(
+          (p) =>
+            p.priceChange.direction === "increase" &&
+            !restockedUrls.has(p.url)
+        )
+        .map((product) => ({
+          ...withDeal(product),
+          eventType: "price_increase",
+        }));
+      const listingChangeProducts = changes.listingChanges
+        .filter((p) => !restockedUrls.has(p.url))
+        .map((product) => ({
+          ...withDeal(product),
+          eventType: "listing_change",
+        }));
+
+      changes.priceChanges.forEach(({ name, priceChange }) => {
+        const icon = priceChange.direction === "drop" ? "📉" : "📈";
+        console.log(
+          `${icon} ${name}: ${priceChange.oldPrice} → ${priceChange.newPrice}`
+        );
+      });
+      changes.listingChanges.forEach(({ name, listingChanges }) => {
+        console.log(
+          `✏️ ${name}: ${listingChanges.map((c) => c.field).join(", ")} 已變更`
+        );
+      });
+
+      const changeSummary = {
+        priceDrops: priceDropProducts.length,
+        priceIncreases: priceIncreaseProducts.length,
+        listingChanges: changes.listingChanges.length,
+      };
+
+      // 冷卻中累積的產品可能在這次到期後送出
+      const hasPendingAlerts = Array.from(userRulesMap.values())
+        .flat()
+        .some((rule) => (rule.alertState?.pendingProducts || []).length > 0);
+
+      if (
+        eventProducts.length === 0 &&
+        priceDropProducts.length === 0 &&
+        priceIncreaseProducts.length === 0 &&
+        listingChangeProducts.length === 0 &&
+        !hasPendingAlerts
+      ) {
+        await this.saveProductState(allProducts, changes);
         return {
           totalProducts: allProducts.length,
           newProducts: 0,
+          restockedProducts: 0,
+          goneProducts: changes.goneProductKeys.length,
+          ...changeSummary,
           totalNewMatches: 0,
           notifiedUsers: 0,
+          watchAlerts,
+          scrapeHealth: scrapeHealth?.status || null,
+          scrapeOutcomes,
         };
       }
 
-      const activeUsers = await this.firebaseService.getActiveUsers();
       console.log(`📋 找到 ${activeUsers.length} 位活躍用戶`);
 
       const allNewMatches = [];
       let notifiedUsersCount = 0;
 
       for (const user of activeUsers) {
-        const userRules = await this.firebaseService.getUserTrackingRules(
-          user.lineUserId
-        );
+        const userRules = userRulesMap.get(user.lineUserId) || [];
         console.log(`👤 用戶 ${user.lineUserId} 有 ${userRules.length} 個追蹤規則`);
 
         const productRuleMap = new Map(); // 記錄每個產品匹配到的規則
+        const alertStateUpdates = [];
+        const summaryEnabled = !!user.summarySettings?.dailySummary?.enabled;
 
         for (const rule of userRules) {
-          const newMatches = this.filterProducts(newProducts, rule.filters);
-
-          for (const product of newMatches) {
-            if (!productRuleMap.has(product.url)) {
-              productRuleMap.set(product.url, {
-                product: product,
-                matchingRules: []
-              });
+          const ruleMatches = [
+            ...this.filterProducts(eventProducts, rule.filters),
+            ...this.filterProducts(
+              priceDropProducts.filter((p) =>
+                this.meetsPriceDropThreshold(p.priceChange, rule.filters)
+              ),
+              rule.filters
+            ),
+            ...(rule.filters.notifyPriceIncreases
+              ? this.filterProducts(priceIncreaseProducts, rule.filters)
+              : []),
+            ...(rule.filters.notifyListingChanges
+              ? this.filterProducts(listingChangeProducts, rule.filters)
+              : []),
+          ];
+
+          // 依規則的冷卻、暫停與到期設定決定這次要通知的產品
+          const { deliver, stateUpdate } = this.ruleAlertPolicy.apply(
+            rule,
+            ruleMatches
+          );
+          let alertState = stateUpdate;
+          const routing = this.getRuleRouting(rule);
+
+          // 低優先規則的產品留到每日摘要，未啟用每日摘要時照常通知
+          if (routing.priority === "low" && summaryEnabled) {
+            if (deliver.length > 0) {
+              const currentState = alertState || rule.alertState || {};
+              alertState = {
+                ...currentState,
+                digestProducts: this.ruleAlertPolicy.mergeProducts(
+                  currentState.digestProducts || [],
+                  deliver
+                ),
+              };
             }
-            const matchingRules = productRuleMap.get(product.url).matchingRules;
-            if (!matchingRules.includes(rule.name)) {
-              matchingRules.push(rule.name);
+          } else {
+            for (const product of deliver) {
+              if (!productRuleMap.has(product.url)) {
+                productRuleMap.set(product.url, {
+                  product: product,
+                  matchingRules: [],
+                  routings: [],
+                });
+              }
+              const item = productRuleMap.get(product.url);
+              if (!item.matchingRules.includes(rule.name)) {
+                item.matchingRules.push(rule.name);
+              }
+              item.routings.push(routing);
             }
           }
+
+          if (alertState) {
+            alertStateUpdates.push({
+              rule,
+              alertState,
+              // 立即通知的產品，發送失敗時留到下一次通知
+              products: routing.priority === "low" && summaryEnabled ? [] : deliver,
+            });
+          }
         }
 
         // 將產品和對應的規則資訊轉換為陣列
@@ -1150,78 +3113,242 @@ class AppleTracker {
           matchingRules: item.matchingRules
         }));
 
-        if (userNewMatches.length > 0) {
-          const messages = await this.formatNewProductMessage(userNewMatches);
-          if (messages && messages.length > 0) {
-            const productIds = userNewMatches.map((p) =>
-              this.firebaseService.getProductId(p.url)
+        // 依通知管道與優先順序分組發送，同一產品符合多個規則時合併管道
+        const alertGroups = this.groupAlertsByRouting(
+          Array.from(productRuleMap.values())
+        );
+        let userNotified = false;
+        const failedUrls = new Set();
+        for (const group of alertGroups) {
+          // 規則指定的管道用戶都沒有設定時無法發送，不保留為待通知，避免每次都重試
+          if (
+            this.notificationManager.getDeliverableChannels(user, group).length === 0
+          ) {
+            console.warn(
+              `⚠️ 用戶 ${user.lineUserId} 沒有設定規則指定的通知管道（${(group.channels || []).join(", ") || "預設"}），略過 ${group.products.length} 個產品`
             );
-
-            for (let i = 0; i < messages.length; i++) {
-              const message = messages[i];
-              try {
-                const results = await this.notificationManager.sendNotification(
-                  user,
-                  message,
-                  {
-                    productIds,
-                    batchInfo: { current: i + 1, total: messages.length },
-                  }
-                );
-
-                for (const result of results) {
-                  if (result.success) {
-                    await this.firebaseService.saveNotification(
-                      user.lineUserId,
-                      message,
-                      productIds
-                    );
-                    if (i === 0) notifiedUsersCount++;
-                  }
-                }
-
-                if (i < messages.length - 1) {
-                  await new Promise((resolve) => setTimeout(resolve, 1000));
-                }
-              } catch (error) {
-                console.error(`❌ 發送第${i + 1}批訊息失敗:`, error.message);
-              }
-            }
+            continue;
+          }
+          if (await this.sendProductAlerts(user, group.products, group)) {
+            userNotified = true;
+          } else {
+            group.products.forEach((product) => failedUrls.add(product.url));
+          }
+        }
+        if (userNotified) notifiedUsersCount++;
+
+        for (const { rule, alertState, products } of alertStateUpdates) {
+          // 全部未送出時保留待通知產品、不開始冷卻；部分送出時只保留未送出的產品
+          const failed = products.filter((product) => failedUrls.has(product.url));
+          const state =
+            failed.length === 0
+              ? alertState
+              : failed.length === products.length
+                ? this.ruleAlertPolicy.keepPending(rule, products)
+                : {
+                    ...alertState,
+                    pendingProducts: this.ruleAlertPolicy.mergeProducts([], failed),
+                  };
+
+          try {
+            await this.firebaseService.updateRuleAlertState(
+              user.lineUserId,
+              rule.id,
+              state
+            );
+          } catch (error) {
+            console.error(`❌ 更新規則 ${rule.id} 通知狀態失敗:`, error.message);
           }
         }
 
         allNewMatches.push(...userNewMatches);
       }
 
-      if (this.firebaseService.initialized) {
-        await this.firebaseService.saveProductHistory(allProducts);
-        await this.saveDailySnapshotIfNeeded(allProducts);
-      }
+      await this.saveProductState(allProducts, changes);
 
       return {
         totalProducts: allProducts.length,
         newProducts: newProducts.length,
+        restockedProducts: restockedProducts.length,
+        goneProducts: changes.goneProductKeys.length,
+        ...changeSummary,
         totalNewMatches: allNewMatches.length,
         notifiedUsers: notifiedUsersCount,
+        watchAlerts,
+        scrapeHealth: scrapeHealth?.status || null,
+        scrapeOutcomes,
       };
     } catch (error) {
       console.error("❌ 追蹤錯誤:", error);
       return {
         totalProducts: 0,
         newProducts: 0,
+        restockedProducts: 0,
+        goneProducts: 0,
+        priceDrops: 0,
+        priceIncreases: 0,
+        listingChanges: 0,
         totalNewMatches: 0,
         notifiedUsers: 0,
+        watchAlerts: 0,
+        scrapeOutcomes: [],
       };
     }
   }
 
-  // 產品 Key 生成（與 Firebase 服務一致）
-  getProductKey(url) {
-    return url.split('?')[0]; // 移除查詢參數，只保留基礎 URL
+  // 關注的產品不經過規則與新品判斷，直接與上次檢查時的狀態比較，回傳通知的產品數
+  async checkProductWatches(activeUsers, userWatchesMap, allProducts, { skipGone = false } = {}) {
+    const productsByKey = indexProducts(allProducts);
+    let alertCount = 0;
+
+    for (const user of activeUsers) {
+      const alerts = [];
+      const stateUpdates = [];
+
+      for (const watch of userWatchesMap.get(user.lineUserId) || []) {
+        const { eventType, product, state } = evaluateWatch(
+          watch,
+          productsByKey.get(watch.productKey) || null,
+          { skipGone }
+        );
+        if (eventType) alerts.push({ ...product, eventType });
+        if (state) stateUpdates.push({ watchId: watch.id, state, notify: !!eventType });
+      }
+
+      const delivered =
+        alerts.length > 0 && (await this.sendProductAlerts(user, alerts));
+      if (delivered) {
+        console.log(`👀 用戶 ${user.lineUserId} 的 ${alerts.length} 個關注產品有更新`);
+        alertCount += alerts.length;
+      }
+
+      for (const { watchId, state, notify } of stateUpdates) {
+        // 通知未送出時不更新狀態，下次檢查會再次通知
+        if (notify && !delivered) continue;
+        try {
+          await this.firebaseService.updateWatchState(user.lineUserId, watchId, state);
+        } catch (error) {
+          console.error(`❌ 更新關注 ${watchId} 狀態失敗:`, error.message);
+        }
+      }
+    }
+
+    return alertCount;
+  }
+
+  async saveProductState(allProducts, changes) {
+    if (!this.firebaseService.initialized) return;
+
+    await this.firebaseService.saveProductHistory(
+      allProducts,
+      changes.previousProducts
+    );
+    // 新產品記錄初始價格，之後只在價格變動時新增一筆
+    await this.firebaseService.savePriceHistory([
+      ...changes.newProducts,
+      ...changes.priceChanges,
+    ]);
+    if (changes.goneProductKeys.length > 0) {
+      console.log(`📤 ${changes.goneProductKeys.length} 個產品已下架`);
+      await this.firebaseService.markProductsGone(changes.goneProductKeys);
+    }
+    await this.firebaseService.recordAvailabilityEvents(
+      this.getAvailabilityEvents(allProducts, changes)
+    );
+    await this.saveDailySnapshotIfNeeded(allProducts, changes.goneProductKeys);
+  }
+
+  // 新上架與重新上架（包含短暫消失、不通知補貨的產品）以及下架的產品
+  getAvailabilityEvents(allProducts, changes) {
+    const appeared = allProducts
+      .map((product) => {
+        const productKey = getProductKey(product);
+        const previous = changes.previousProducts.get(productKey);
+        if (previous && previous.status !== "gone") return null;
+
+        const goneSince = previous ? this.toDate(previous.goneSince) : null;
+        return {
+          productKey,
+          type: "appeared",
+          previousGoneSince: goneSince ? goneSince.toISOString() : null,
+        };
+      })
+      .filter(Boolean);
+
+    return [
+      ...appeared,
+      ...changes.goneProductKeys.map((productKey) => ({
+        productKey,
+        type: "gone",
+      })),
+    ];
+  }
+
+  // 爬取健康檢查：結果異常或恢復時通知管理員
+  async checkScrapeHealth(products, regions) {
+    try {
+      const { report, statusChanged } =
+        await this.scrapeHealthMonitor.evaluate(products, regions);
+
+      if (report.status === "degraded") {
+        console.warn(
+          "⚠️ 爬取結果異常:",
+          report.issues.map((issue) => issue.message).join("; ")
+        );
+      }
+
+      if (statusChanged) {
+        const message =
+          report.status === "degraded"
+            ? this.scrapeHealthMonitor.formatAlertMessage(report)
+            : this.scrapeHealthMonitor.formatRecoveryMessage(report);
+        await this.notifyAdmins(message);
+      }
+
+      return report;
+    } catch (error) {
+      console.error("爬取健康檢查失敗:", error.message);
+      return null;
+    }
+  }
+
+  async notifyAdmins(message) {
+    const adminUserIds = this.config.adminUserIds || [];
+    if (adminUserIds.length === 0) {
+      console.warn("⚠️ 未設定 ADMIN_LINE_USER_IDS，無法發送管理員通知");
+      return;
+    }
+
+    for (const adminUserId of adminUserIds) {
+      try {
+        const adminUser =
+          (this.firebaseService.initialized &&
+            (await this.firebaseService.getUser(adminUserId))) || {
+            lineUserId: adminUserId,
+          };
+        await this.notificationManager.sendNotification(adminUser, message);
+      } catch (error) {
+        console.error(`❌ 管理員通知發送失敗 (${adminUserId}):`, error.message);
+      }
+    }
+  }
+
+  // 彙整所有規則追蹤與關注產品的地區，沒有規則時仍爬取預設地區以維持每日快照
+  getTrackedRegions(rules, watches = []) {
+    const regions = new Set();
+    for (const rule of rules) {
+      getRuleRegions(rule.filters).forEach((region) => regions.add(region));
+    }
+    for (const watch of watches) {
+      if (getRegion(watch.region)) regions.add(watch.region);
+    }
+    return regions.size > 0 ? Array.from(regions) : [DEFAULT_REGION];
   }
 
   // 每日快照管理
-  async saveDailySnapshotIfNeeded(products) {
+  // goneProductKeys 為 detectProductChanges() 判斷下架的產品（已排除未爬取的分類與異常的爬取），
+  // 只有這些產品會標示為賣完
+  async saveDailySnapshotIfNeeded(products, goneProductKeys = []) {
     if (!this.firebaseService.initialized) {
       return;
     }
@@ -1233,15 +3360,57 @@ class AppleTracker {
       // 檢查今天是否已有快照
       const existingSnapshot = await this.firebaseService.getDailySnapshot(today);
 
+      // 記錄每個產品這次上架的開始（seenAt）與最後一次出現的時間，供市場統計使用；
+      // 當天稍早出現、之後賣完的產品仍保留在快照中，並以 soldOutAt 標示，
+      // 賣完後又重新上架時，先前的上架區間移到 earlierListings
+      const now = new Date().toISOString();
+      const gone = new Set(goneProductKeys);
+      const currentKeys = new Set(products.map((product) => getProductKey(product)));
+      const previous = new Map(
+        (existingSnapshot?.products || []).map((product) => [
+          getProductKey(product),
+          product,
+        ])
+      );
+      const snapshotProducts = [
+        ...(existingSnapshot?.products || [])
+          .filter((product) => !currentKeys.has(getProductKey(product)))
+          .map((product) =>
+            gone.has(getProductKey(product)) && !product.soldOutAt
+              ? { ...product, soldOutAt: now }
+              : product
+          ),
+        ...products.map((product) => {
+          const last = previous.get(getProductKey(product));
+          const earlierListings = [...(last?.earlierListings || [])];
+          if (last?.soldOutAt) {
+            earlierListings.push({
+              seenAt: last.seenAt,
+              lastSeenAt: last.lastSeenAt,
+              soldOutAt: last.soldOutAt,
+            });
+          }
+          return {
+            ...product,
+            seenAt: (!last?.soldOutAt && last?.seenAt) || now,
+            lastSeenAt: now,
+            ...(earlierListings.length > 0 && { earlierListings }),
+          };
+        }),
+      ];
+
       if (!existingSnapshot) {
         // 建立今天的快照
-        await this.firebaseService.saveDailySnapshot(today, products);
+        await this.firebaseService.saveDailySnapshot(today, snapshotProducts);
+
+        // 舊快照刪除前先彙整到市場統計
+        await this.marketAnalytics.rollupSnapshots();
 
         // 清理舊快照（每次建立新快照時清理）
         await this.firebaseService.cleanupOldSnapshots();
       } else {
         // 更新現有快照（因為產品可能有變化）
-        await this.firebaseService.saveDailySnapshot(today, products);
+        await this.firebaseService.saveDailySnapshot(today, snapshotProducts);
       }
     } catch (error) {
       console.error('保存每日快照時發生錯誤:', error);
@@ -1326,7 +3495,7 @@ class AppleTracker {
 
         const summary = await this.generateDailySummary(yesterday);
         if (summary) {
-          await this.notificationManager.sendNotification(user, summary);
+          await this.sendUserSummary(user, summary);
           await this.firebaseService.updateUserLastSummaryDate(user.lineUserId, today);
           console.log(`📤 摘要已發送 - 用戶: ${user.lineUserId}, 時間: ${taiwanTime.toLocaleString('zh-TW')}`);
         }
@@ -1336,6 +3505,73 @@ class AppleTracker {
     }
   }
 
+  // 發送每日摘要，並附上低優先規則累積的產品：未指定通知管道的規則併入摘要，
+  // 指定管道的規則另外發送到該管道；送出後才清除累積的產品
+  async sendUserSummary(user, summary) {
+    const rules = await this.firebaseService.getUserTrackingRules(user.lineUserId);
+    const digestRules = rules.filter(
+      (rule) => (rule.alertState?.digestProducts || []).length > 0
+    );
+
+    const groups = new Map([["*", { channels: null, slackTarget: null, rules: [] }]]);
+    for (const rule of digestRules) {
+      const { channels, slackTarget } = this.getRuleRouting(rule);
+      const key = channels
+        ? `${[...channels].sort().join(",")}:${slackTarget || ""}`
+        : "*";
+      if (!groups.has(key)) {
+        groups.set(key, { channels, slackTarget, rules: [] });
+      }
+      groups.get(key).rules.push(rule);
+    }
+
+    for (const [key, { channels, slackTarget, rules: groupRules }] of groups) {
+      if (key !== "*" && groupRules.length === 0) continue;
+
+      const message =
+        key === "*"
+          ? `${summary}${this.formatDigestRules(groupRules)}`
+          : this.formatDigestRules(groupRules);
+
+      // 自訂 webhook 收到 summary.daily 事件，附上低優先規則累積的產品
+      const results = await this.notificationManager.sendNotification(user, message.trim(), {
+        event: "summary.daily",
+        eventData: {
+          lowPriorityRules: groupRules.map((rule) => ({
+            ruleId: rule.id,
+            ruleName: rule.name,
+            products: rule.alertState.digestProducts,
+          })),
+        },
+        channels,
+        slackTarget,
+      });
+      if (!results.some((result) => result.success)) continue;
+
+      for (const rule of groupRules) {
+        await this.firebaseService.updateRuleAlertState(user.lineUserId, rule.id, {
+          ...rule.alertState,
+          digestProducts: []
+        });
+      }
+    }
+  }
+
+  formatDigestRules(rules) {
+    if (rules.length === 0) return "";
+
+    let message = `\n\n📋 低優先規則:\n`;
+    for (const rule of rules) {
+      const products = rule.alertState.digestProducts;
+      message += `\n【${rule.name}】${products.length} 個\n`;
+      products.forEach((product) => {
+        const shortName = product.name.replace(/整修品.*$/, '').replace(/Apple\s*/gi, '').trim();
+        message += `• ${shortName} ${this.formatPriceText(product)}\n`;
+      });
+    }
+    return message;
+  }
+
   async generateDailySummary(date) {
     try {
       // 獲取今天的快照（如果沒有則即時爬取）
@@ -1344,12 +3580,14 @@ class AppleTracker {
 
       if (!todaySnapshot) {
         // 沒有今天的快照，即時爬取並建立快照
-        todayProducts = await this.scrapeProducts();
+        todayProducts = await this.scrapeProducts(this.trackedRegions);
         await this.saveDailySnapshotIfNeeded(todayProducts);
         todaySnapshot = { products: todayProducts, totalCount: todayProducts.length };
       } else {
         todayProducts = todaySnapshot.products || [];
       }
+      // 快照包含當天已賣完的產品，目前總數只計算仍在架的產品
+      const availableToday = todayProducts.filter((p) => !p.soldOutAt);
 
       // 獲取昨天的快照
       const yesterday = new Date(date);
@@ -1369,15 +3607,15 @@ class AppleTracker {
       }
 
       // 建立產品 ID 集合以便比較
-      const todayProductIds = new Set(todayProducts.map(p => this.getProductKey(p.url)));
-      const yesterdayProductIds = new Set(yesterdayProducts.map(p => this.getProductKey(p.url)));
+      const todayProductIds = new Set(todayProducts.map(p => getProductKey(p)));
+      const yesterdayProductIds = new Set(yesterdayProducts.map(p => getProductKey(p)));
 
       // 找出新產品（今天有，昨天沒有的）
-      const newProducts = todayProducts.filter(p => !yesterdayProductIds.has(this.getProductKey(p.url)));
+      const newProducts = todayProducts.filter(p => !yesterdayProductIds.has(getProductKey(p)));
 
       // 計算總數變化
-      const totalToday = todayProducts.length;
-      const totalYesterday = yesterdayProducts.length;
+      const totalToday = availableToday.length;
+      const totalYesterday = yesterdayProducts.filter((p) => !p.soldOutAt).length;
       const totalChange = totalToday - totalYesterday;
 
       let message = `📊 每日摘要 (${date.toLocaleDateString('zh-TW')})\n\n`;
@@ -1395,6 +3633,19 @@ class AppleTracker {
           message += `• ${category}: ${count} 個\n`;
         });
         message += '\n';
+
+        const bestDeals = newProducts
+          .filter(p => p.savingsPercent)
+          .sort((a, b) => b.savingsPercent - a.savingsPercent)
+          .slice(0, 3);
+        if (bestDeals.length > 0) {
+          message += `💸 折扣最多:\n`;
+          bestDeals.forEach(product => {
+            const shortName = product.name.replace(/整修品.*$/, '').replace(/Apple\s*/gi, '').trim();
+            message += `• ${shortName} ${product.price} (省 ${product.savingsPercent}%)\n`;
+          });
+          message += '\n';
+        }
       }
 
       message += `📱 目前總數: ${totalToday} 個`;
@@ -1484,7 +3735,7 @@ class AppleTracker {
       }
       
       // 直接發送摘要
-      await this.notificationManager.sendNotification(user, summary);
+      await this.sendUserSummary(user, summary);
       
       // 更新最後發送日期
       const today = new Date().toISOString().split('T')[0];
@@ -1502,6 +3753,8 @@ class AppleTracker {
     const categories = {
       'MacBook': 0,
       'iPad': 0,
+      'iPhone': 0,
+      'Apple Watch': 0,
       'AirPods': 0,
       'HomePod': 0,
       '其他': 0
@@ -1515,6 +3768,10 @@ class AppleTracker {
         categories['MacBook']++;
       } else if (name.includes('ipad') || productType.includes('ipad')) {
         categories['iPad']++;
+      } else if (name.includes('iphone') || productType.includes('iphone')) {
+        categories['iPhone']++;
+      } else if (name.includes('apple watch') || productType.includes('apple watch')) {
+        categories['Apple Watch']++;
       } else if (name.includes('airpods') || productType.includes('airpods')) {
         categories['AirPods']++;
       } else if (name.includes('homepod') || productType.includes('homepod')) {
@@ -1538,19 +3795,22 @@ class AppleTracker {
       this.summaryInterval = null;
     }
     
-    if (this.browser) {
-      await this.browser.close();
+    for (const scraper of Object.values(this.scrapers)) {
+      await scraper.close();
     }
   }
 }
 
-const tracker = new AppleTracker();
-tracker.start();
+// 直接執行時才啟動服務，測試可以載入類別而不啟動伺服器
+if (require.main === module) {
+  const tracker = new AppleTracker();
+  tracker.start();
 
-process.on("SIGINT", async () => {
-  console.log("\n正在關閉...");
-  await tracker.cleanup();
-  process.exit(0);
-});
+  process.on("SIGINT", async () => {
+    console.log("\n正在關閉...");
+    await tracker.cleanup();
+    process.exit(0);
+  });
+}
 
 module.exports = AppleTracker;
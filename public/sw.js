@@ -0,0 +1,31 @@
+// Web Push 通知的 service worker：顯示伺服器送來的通知，點擊後開啟產品頁面
+
+self.addEventListener('push', (event) => {
+    let data = {};
+    try {
+        data = event.data ? event.data.json() : {};
+    } catch (error) {
+        data = { title: 'Apple 整修機追蹤器', body: event.data.text() };
+    }
+
+    event.waitUntil(
+        self.registration.showNotification(data.title || 'Apple 整修機追蹤器', {
+            body: data.body || '',
+            icon: data.icon || undefined,
+            tag: data.tag || undefined,
+            data: { url: data.url || '/' }
+        })
+    );
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+            const existing = clients.find((client) => client.url === url);
+            return existing ? existing.focus() : self.clients.openWindow(url);
+        })
+    );
+});
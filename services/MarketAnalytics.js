@@ -0,0 +1,269 @@
+const { getConfigurationKey, median } = require('./dealScoring');
+const { getProductKey, getProductId } = require('./productIdentity');
+
+const MAX_PRICE_SAMPLES = 500;
+const MAX_SHELF_SAMPLES = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+function toDate(value) {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+const round = (value) => (value === null ? null : Math.round(value * 10) / 10);
+
+// 將每日快照彙整為長期保存的各配置市場統計，快照本身只保留 30 天
+//
+// 每份快照只彙整一次（記錄於 system/analytics 的 lastRolledUpDate），
+// openListings 記錄目前在架的產品，產品從快照中消失時計算在架時間
+class MarketAnalytics {
+  constructor(firebaseService, options = {}) {
+    this.firebaseService = firebaseService;
+    // 舊快照中的產品可能沒有規格與數值價格，由呼叫端補上
+    this.normalizeProduct = options.normalizeProduct || ((product) => product);
+    this.timeZone = options.timeZone || 'Asia/Taipei';
+  }
+
+  // 以週一的日期作為每週統計的 key
+  getWeekKey(dateStr) {
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    const offset = (date.getUTCDay() + 6) % 7;
+    return new Date(date.getTime() - offset * DAY_MS).toISOString().split('T')[0];
+  }
+
+  getHour(date) {
+    return parseInt(
+      date.toLocaleString('en-US', { timeZone: this.timeZone, hour: 'numeric', hourCycle: 'h23' })
+    );
+  }
+
+  createStats(configurationKey, product) {
+    const [region, productType, chip, memoryGB, storageGB, screenSize] =
+      configurationKey.split('|');
+    return {
+      configurationKey,
+      region,
+      productType,
+      chip: chip || null,
+      memoryGB: memoryGB ? Number(memoryGB) : null,
+      storageGB: storageGB ? Number(storageGB) : null,
+      screenSize: screenSize || null,
+      currency: product.currency || null,
+      appearances: 0,
+      weeks: {},
+      hourOfDay: new Array(24).fill(0),
+      prices: [],
+      shelfHours: [],
+      firstDate: null,
+      lastDate: null
+    };
+  }
+
+  // 彙整尚未處理的完整日期快照（不含今天），回傳處理的快照數
+  async rollupSnapshots() {
+    if (!this.firebaseService.initialized) return 0;
+
+    try {
+      const state = (await this.firebaseService.getAnalyticsState()) || {};
+      const today = this.firebaseService.formatDateString(new Date());
+      const since = state.lastRolledUpDate
+        ? new Date(`${state.lastRolledUpDate}T00:00:00Z`)
+        : new Date(Date.now() - 30 * DAY_MS);
+      const snapshots = (await this.firebaseService.getSnapshotsSince(since)).filter(
+        (snapshot) =>
+          snapshot.date < today &&
+          (!state.lastRolledUpDate || snapshot.date > state.lastRolledUpDate)
+      );
+      if (snapshots.length === 0) return 0;
+
+      const configurations = new Map(
+        (await this.firebaseService.getAnalyticsConfigurations()).map((stats) => [
+          stats.configurationKey,
+          stats
+        ])
+      );
+      const openListings = state.openListings || {};
+      const touched = new Set();
+
+      snapshots.forEach((snapshot, index) => {
+        // 第一次彙整時，第一份快照中的產品上架時間未知，只作為基準
+        const isBaseline = !state.lastRolledUpDate && index === 0;
+        this.rollupSnapshot(snapshot, { openListings, configurations, touched, isBaseline });
+      });
+
+      await this.firebaseService.saveAnalyticsConfigurations(
+        Array.from(touched).map((key) => configurations.get(key))
+      );
+      await this.firebaseService.saveAnalyticsState({
+        lastRolledUpDate: snapshots[snapshots.length - 1].date,
+        openListings
+      });
+
+      console.log(`📊 市場統計已彙整 ${snapshots.length} 份快照，更新 ${touched.size} 個配置`);
+      return snapshots.length;
+    } catch (error) {
+      console.error('彙整市場統計失敗:', error);
+      return 0;
+    }
+  }
+
+  rollupSnapshot(snapshot, { openListings, configurations, touched, isBaseline }) {
+    const dayStart = new Date(`${snapshot.date}T00:00:00Z`);
+    const present = new Set();
+    const context = { openListings, configurations, touched };
+
+    for (const rawProduct of snapshot.products || []) {
+      const product = this.normalizeProduct(rawProduct);
+      const configurationKey = getConfigurationKey(product);
+      if (!configurationKey) continue;
+
+      const id = getProductId(getProductKey(product));
+
+      if (!configurations.has(configurationKey)) {
+        configurations.set(configurationKey, this.createStats(configurationKey, product));
+      }
+      const stats = configurations.get(configurationKey);
+      touched.add(configurationKey);
+
+      // 當天賣完又重新上架時，先前的上架區間各自計算在架時間
+      const listings = [...(product.earlierListings || []), product];
+      listings.forEach((listing, index) => {
+        this.recordListing(id, configurationKey, stats, snapshot.date, listing, {
+          openListings,
+          dayStart,
+          isBaseline: isBaseline && index === 0
+        });
+        if (listing.soldOutAt) this.closeListing(id, context);
+      });
+      if (!product.soldOutAt) present.add(id);
+
+      if (product.priceValue) {
+        stats.prices = [...stats.prices, product.priceValue].slice(-MAX_PRICE_SAMPLES);
+      }
+      stats.firstDate = stats.firstDate || snapshot.date;
+      stats.lastDate = snapshot.date;
+    }
+
+    // 從快照中消失的產品視為賣完
+    for (const id of Object.keys(openListings)) {
+      if (!present.has(id)) this.closeListing(id, context);
+    }
+  }
+
+  // 快照記錄了每個上架區間的開始與最後一次出現的時間（舊快照沒有）
+  recordListing(id, configurationKey, stats, date, listing, { openListings, dayStart, isBaseline }) {
+    const seenAt = toDate(listing.seenAt);
+    const lastSeenAt = toDate(listing.lastSeenAt) || seenAt || dayStart;
+
+    if (!openListings[id]) {
+      openListings[id] = {
+        configurationKey,
+        appearedAt: (seenAt || dayStart).toISOString(),
+        baseline: isBaseline
+      };
+      if (!isBaseline) {
+        const week = this.getWeekKey(date);
+        stats.appearances += 1;
+        stats.weeks[week] = (stats.weeks[week] || 0) + 1;
+        if (seenAt) stats.hourOfDay[this.getHour(seenAt)] += 1;
+      }
+    }
+    openListings[id].lastSeenAt = lastSeenAt.toISOString();
+    if (listing.soldOutAt) openListings[id].soldOutAt = toDate(listing.soldOutAt).toISOString();
+  }
+
+  // 有 soldOutAt 時以其作為下架時間，否則以最後一次出現的時間計算；
+  // 基準快照中的產品上架時間未知，不計入在架時間
+  closeListing(id, { openListings, configurations, touched }) {
+    const listing = openListings[id];
+    const stats = configurations.get(listing.configurationKey);
+    if (stats && !listing.baseline) {
+      const hours =
+        (new Date(listing.soldOutAt || listing.lastSeenAt) - new Date(listing.appearedAt)) / HOUR_MS;
+      stats.shelfHours = [...stats.shelfHours, round(hours)].slice(-MAX_SHELF_SAMPLES);
+      touched.add(listing.configurationKey);
+    }
+    delete openListings[id];
+  }
+
+  summarize(stats) {
+    const days =
+      stats.firstDate && stats.lastDate
+        ? (new Date(stats.lastDate) - new Date(stats.firstDate)) / DAY_MS + 1
+        : 1;
+    const weekSpan = Math.max(1, Math.ceil(days / 7));
+    const prices = stats.prices || [];
+    const shelfHours = stats.shelfHours || [];
+
+    return {
+      configurationKey: stats.configurationKey,
+      region: stats.region,
+      productType: stats.productType,
+      chip: stats.chip,
+      memoryGB: stats.memoryGB,
+      storageGB: stats.storageGB,
+      screenSize: stats.screenSize,
+      currency: stats.currency,
+      appearances: stats.appearances,
+      appearancesPerWeek: round(stats.appearances / weekSpan),
+      medianShelfHours: shelfHours.length > 0 ? round(median(shelfHours)) : null,
+      soldOutCount: shelfHours.length,
+      price: {
+        min: prices.length > 0 ? Math.min(...prices) : null,
+        median: median(prices),
+        max: prices.length > 0 ? Math.max(...prices) : null,
+        samples: prices.length
+      },
+      hourOfDay: stats.hourOfDay,
+      weeks: Object.entries(stats.weeks || {})
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([week, count]) => ({ week, count })),
+      firstDate: stats.firstDate,
+      lastDate: stats.lastDate
+    };
+  }
+
+  // filters: { region, productType, chip, memoryGB, storageGB }
+  async getConfigurationStats(filters = {}) {
+    const [state, configurations] = await Promise.all([
+      this.firebaseService.getAnalyticsState(),
+      this.firebaseService.getAnalyticsConfigurations()
+    ]);
+
+    const matches = configurations.filter(
+      (stats) =>
+        (!filters.region || stats.region === filters.region) &&
+        (!filters.productType || stats.productType === filters.productType) &&
+        (!filters.chip || stats.chip === filters.chip) &&
+        (!filters.memoryGB || stats.memoryGB === filters.memoryGB) &&
+        (!filters.storageGB || stats.storageGB === filters.storageGB)
+    );
+
+    return {
+      lastRolledUpDate: state ? state.lastRolledUpDate : null,
+      configurations: matches
+        .map((stats) => this.summarize(stats))
+        .sort((a, b) => b.appearances - a.appearances)
+    };
+  }
+
+  // 各配置的歷史價格，供價值評分使用；lastRolledUpDate 之後的快照尚未包含在內
+  async getPriceSamples() {
+    const [state, configurations] = await Promise.all([
+      this.firebaseService.getAnalyticsState(),
+      this.firebaseService.getAnalyticsConfigurations()
+    ]);
+
+    return {
+      lastRolledUpDate: state ? state.lastRolledUpDate : null,
+      history: new Map(
+        configurations.map((stats) => [stats.configurationKey, [...(stats.prices || [])]])
+      )
+    };
+  }
+}
+
+module.exports = MarketAnalytics;
@@ -0,0 +1,164 @@
+const MAX_PENDING_PRODUCTS = 50;
+
+// 每個規則的通知限制：冷卻時間、暫停、到期、首次符合後停止與每日上限
+//
+// rule.limits（使用者設定）:
+//   cooldownHours        兩次通知間至少間隔的小時數，期間的符合產品併入下一次通知
+//   snoozeUntil          暫停通知至此時間（ISO 字串），期間的符合產品不通知
+//   expiresAt            規則到期時間（ISO 字串）
+//   stopAfterFirstMatch  第一次通知後即停止
+//   maxAlertsPerDay      每天最多通知次數，超過的產品併入隔天的通知
+//
+// rule.alertState（由系統維護）:
+//   lastAlertAt, alertDate, alertsOnDate, pendingProducts, completedAt
+class RuleAlertPolicy {
+  constructor(options = {}) {
+    this.timeZone = options.timeZone || 'Asia/Taipei';
+  }
+
+  // 以台灣時區的日期計算每日上限
+  getDateKey(date) {
+    return date.toLocaleDateString('sv-SE', { timeZone: this.timeZone });
+  }
+
+  getStatus(rule, now = new Date()) {
+    const limits = rule.limits || {};
+    const state = rule.alertState || {};
+
+    // 取消「首次通知後停止」即可讓已完成的規則重新啟用
+    if (limits.stopAfterFirstMatch && state.completedAt) {
+      return { state: 'completed' };
+    }
+    if (limits.expiresAt && now >= new Date(limits.expiresAt)) {
+      return { state: 'expired' };
+    }
+    if (limits.snoozeUntil && now < new Date(limits.snoozeUntil)) {
+      return { state: 'snoozed', until: new Date(limits.snoozeUntil) };
+    }
+    if (limits.cooldownHours && state.lastAlertAt) {
+      const until = new Date(
+        new Date(state.lastAlertAt).getTime() +
+          limits.cooldownHours * 60 * 60 * 1000
+      );
+      if (now < until) return { state: 'cooldown', until };
+    }
+    if (
+      limits.maxAlertsPerDay &&
+      state.alertDate === this.getDateKey(now) &&
+      (state.alertsOnDate || 0) >= limits.maxAlertsPerDay
+    ) {
+      return { state: 'daily_cap' };
+    }
+
+    return { state: 'active' };
+  }
+
+  // 回傳 { deliver, stateUpdate }：deliver 為這次要通知的產品，
+  // stateUpdate 為需要寫回的 alertState（不需要更新時為 null）
+  apply(rule, matches, now = new Date()) {
+    const limits = rule.limits || {};
+    const state = rule.alertState || {};
+    const pending = state.pendingProducts || [];
+    const { state: status } = this.getStatus(rule, now);
+
+    if (['completed', 'expired', 'snoozed'].includes(status)) {
+      return { deliver: [], stateUpdate: null };
+    }
+
+    if (status === 'cooldown' || status === 'daily_cap') {
+      if (matches.length === 0) return { deliver: [], stateUpdate: null };
+      return {
+        deliver: [],
+        stateUpdate: {
+          ...state,
+          pendingProducts: this.mergeProducts(pending, matches)
+        }
+      };
+    }
+
+    const deliver = this.mergeProducts(pending, matches);
+    if (deliver.length === 0) return { deliver: [], stateUpdate: null };
+
+    const today = this.getDateKey(now);
+    return {
+      deliver,
+      stateUpdate: {
+        ...state,
+        lastAlertAt: now.toISOString(),
+        alertDate: today,
+        alertsOnDate:
+          state.alertDate === today ? (state.alertsOnDate || 0) + 1 : 1,
+        pendingProducts: [],
+        completedAt: limits.stopAfterFirstMatch ? now.toISOString() : null
+      }
+    };
+  }
+
+  // 通知發送失敗時使用：產品留到下一次通知，不開始冷卻也不計入每日次數
+  keepPending(rule, products) {
+    return {
+      ...(rule.alertState || {}),
+      pendingProducts: this.mergeProducts(rule.alertState?.pendingProducts || [], products)
+    };
+  }
+
+  // 以網址去除重複，同一產品保留最新一次的資料
+  mergeProducts(pending, matches) {
+    const merged = new Map();
+    for (const product of [...pending, ...matches]) {
+      merged.set(product.url, this.toStoredProduct(product));
+    }
+    return Array.from(merged.values()).slice(-MAX_PENDING_PRODUCTS);
+  }
+
+  // Firestore 不接受 undefined，並去掉只在本次爬取使用的大型欄位；
+  // Timestamp（例如補貨產品的 goneSince）轉為 ISO 字串
+  toStoredProduct(product) {
+    const { detailSpecs, matchingRules, ...rest } = product;
+    return JSON.parse(
+      JSON.stringify(rest, function (key, value) {
+        const raw = this[key];
+        return raw && typeof raw.toDate === 'function'
+          ? raw.toDate().toISOString()
+          : value;
+      })
+    );
+  }
+
+  formatTime(date) {
+    return date.toLocaleString('zh-TW', { timeZone: this.timeZone });
+  }
+
+  formatStatus(rule, now = new Date()) {
+    const { state, until } = this.getStatus(rule, now);
+    const pendingCount = (rule.alertState?.pendingProducts || []).length;
+    const pendingText = pendingCount > 0 ? `，已累積 ${pendingCount} 個產品` : '';
+
+    switch (state) {
+      case 'completed':
+        return '🏁 已完成（首次通知後停止）';
+      case 'expired':
+        return '⌛ 已到期';
+      case 'snoozed':
+        return `😴 暫停至 ${this.formatTime(until)}`;
+      case 'cooldown':
+        return `⏳ 冷卻中，${this.formatTime(until)} 後可再通知${pendingText}`;
+      case 'daily_cap':
+        return `🔢 今日通知已達上限${pendingText}`;
+      default:
+        return '✅ 啟用中';
+    }
+  }
+
+  formatLimits(rule) {
+    const limits = rule.limits || {};
+    const parts = [];
+    if (limits.cooldownHours) parts.push(`冷卻 ${limits.cooldownHours} 小時`);
+    if (limits.maxAlertsPerDay) parts.push(`每日最多 ${limits.maxAlertsPerDay} 次`);
+    if (limits.expiresAt) parts.push(`${this.formatTime(new Date(limits.expiresAt))} 到期`);
+    if (limits.stopAfterFirstMatch) parts.push('首次通知後停止');
+    return parts.join('、');
+  }
+}
+
+module.exports = RuleAlertPolicy;
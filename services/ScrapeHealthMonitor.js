@@ -0,0 +1,167 @@
+const { CATEGORIES, getRegion } = require('./regions');
+
+const MISSING_PRICE_TEXT = '價格未找到';
+
+// 比對每次爬取結果與近期基準，偵測 Apple 網頁改版造成的爬取失效
+class ScrapeHealthMonitor {
+  constructor(firebaseService, options = {}) {
+    this.firebaseService = firebaseService;
+    this.windowSize = options.windowSize || 24; // 基準保留最近幾次的數量
+    this.minBaselineRuns = options.minBaselineRuns || 3;
+    this.dropRatio = options.dropRatio || 0.5;
+    this.missingPriceRatio = options.missingPriceRatio || 0.3;
+    this.state = null;
+    this.latestReport = null;
+  }
+
+  async loadState() {
+    if (this.state) return this.state;
+
+    this.state = { history: {}, lastStatus: 'ok' };
+    if (this.firebaseService.initialized) {
+      const saved = await this.firebaseService.getScrapeBaseline();
+      if (saved) {
+        this.state = {
+          history: saved.history || {},
+          lastStatus: saved.lastStatus || 'ok'
+        };
+      }
+    }
+
+    return this.state;
+  }
+
+  getMedian(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0
+      ? (sorted[middle - 1] + sorted[middle]) / 2
+      : sorted[middle];
+  }
+
+  getKeyLabel(key) {
+    const [regionCode, category] = key.split(':');
+    const region = getRegion(regionCode);
+    return `${region ? region.name : regionCode} ${category}`;
+  }
+
+  async evaluate(products, regions) {
+    const state = await this.loadState();
+
+    // 每個爬取的地區分類都要有數量，沒取得產品的分類記為 0
+    const counts = {};
+    for (const regionCode of regions) {
+      for (const category of CATEGORIES) {
+        counts[`${regionCode}:${category.name}`] = 0;
+      }
+    }
+
+    let missingPriceCount = 0;
+    for (const product of products) {
+      const key = `${product.region}:${product.category}`;
+      counts[key] = (counts[key] || 0) + 1;
+      if (!product.price || product.price === MISSING_PRICE_TEXT) {
+        missingPriceCount++;
+      }
+    }
+
+    const issues = [];
+
+    if (products.length === 0) {
+      issues.push({
+        type: 'zero_results',
+        key: null,
+        message: '本次爬取沒有取得任何產品'
+      });
+    }
+
+    for (const [key, count] of Object.entries(counts)) {
+      const history = state.history[key] || [];
+      if (history.length < this.minBaselineRuns) continue;
+
+      const baseline = this.getMedian(history);
+      if (baseline === 0) continue;
+
+      if (count === 0) {
+        issues.push({
+          type: 'zero_results',
+          key,
+          count,
+          baseline,
+          message: `${this.getKeyLabel(key)}: 沒有產品（基準 ${baseline} 個）`
+        });
+      } else if (count < baseline * this.dropRatio) {
+        issues.push({
+          type: 'sharp_drop',
+          key,
+          count,
+          baseline,
+          message: `${this.getKeyLabel(key)}: ${count} 個產品（基準 ${baseline} 個）`
+        });
+      }
+    }
+
+    const missingPriceRatio =
+      products.length > 0 ? missingPriceCount / products.length : 0;
+    if (products.length > 0 && missingPriceRatio >= this.missingPriceRatio) {
+      issues.push({
+        type: 'missing_prices',
+        key: null,
+        count: missingPriceCount,
+        message: `${missingPriceCount}/${products.length} 個產品${MISSING_PRICE_TEXT}（${Math.round(missingPriceRatio * 100)}%）`
+      });
+    }
+
+    // 異常的數量不加入基準，避免持續失效時基準降為 0 而誤判為恢復正常
+    const flaggedKeys = new Set(issues.map((issue) => issue.key).filter(Boolean));
+    for (const [key, count] of Object.entries(counts)) {
+      if (products.length === 0 || flaggedKeys.has(key)) continue;
+      state.history[key] = [...(state.history[key] || []), count].slice(
+        -this.windowSize
+      );
+    }
+
+    const report = {
+      status: issues.length > 0 ? 'degraded' : 'ok',
+      totalProducts: products.length,
+      counts,
+      missingPriceCount,
+      missingPriceRatio,
+      issues,
+      checkedAt: new Date().toISOString()
+    };
+
+    const previousStatus = state.lastStatus;
+    state.lastStatus = report.status;
+    this.latestReport = report;
+
+    if (this.firebaseService.initialized) {
+      await this.firebaseService.saveScrapeBaseline(state);
+      if (report.status === 'degraded') {
+        await this.firebaseService.saveScrapeHealthRecord(report);
+      }
+    }
+
+    return {
+      report,
+      statusChanged: previousStatus !== report.status
+    };
+  }
+
+  formatAlertMessage(report) {
+    let message = `⚠️ 爬取異常警告\n\n`;
+    message += `🕒 ${new Date(report.checkedAt).toLocaleString('zh-TW', { timeZone: 'Asia/Taipei' })}\n`;
+    message += `📦 本次產品數: ${report.totalProducts} 個\n\n`;
+    report.issues.forEach(issue => {
+      message += `• ${issue.message}\n`;
+    });
+    message += `\n請檢查 Apple 網頁結構是否變更`;
+    return message;
+  }
+
+  formatRecoveryMessage(report) {
+    return `✅ 爬取已恢復正常\n📦 本次產品數: ${report.totalProducts} 個`;
+  }
+}
+
+module.exports = ScrapeHealthMonitor;
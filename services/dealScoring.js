@@ -0,0 +1,156 @@
+// 產品價值評分
+//
+// 每個產品的分數由兩項比較組成，數值代表比一般行情便宜幾 %：
+//   規格單價：同地區、同產品類型中，每 GB 記憶體與每 GB 儲存空間的價格與同類產品中位數比較
+//   歷史價格：與過去快照中相同配置（地區、產品類型、晶片、記憶體、儲存空間、尺寸）的價格中位數比較
+// 兩項都有資料時取平均，之後所有產品依分數排名，topPercent 為排名落在前幾 %
+
+const MIN_PEER_COUNT = 2; // 同類產品少於此數量時不比較規格單價
+const MIN_HISTORY_SAMPLES = 3; // 歷史價格少於此數量時不比較歷史中位數
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle];
+}
+
+// 「16GB」→ 16、「1TB」→ 1024
+function parseGB(value) {
+  const match = String(value || '').match(/(\d+(?:\.\d+)?)\s*(TB|GB)/i);
+  if (!match) return null;
+  const number = parseFloat(match[1]);
+  return match[2].toUpperCase() === 'TB' ? number * 1024 : number;
+}
+
+function getPeerKey(product) {
+  const specs = product.specs || {};
+  const productType = specs.productType || specs.category;
+  return productType ? `${product.region}|${productType}` : null;
+}
+
+// 相同配置的產品，用於比較歷史價格；無法辨識產品類型時回傳 null
+function getConfigurationKey(product) {
+  const specs = product.specs || {};
+  if (!specs.productType) return null;
+  return [
+    product.region,
+    specs.productType,
+    specs.chip,
+    parseGB(specs.memory),
+    parseGB(specs.storage),
+    specs.screenSize
+  ]
+    .map((part) => (part === null || part === undefined ? '' : part))
+    .join('|');
+}
+
+// products: [{ region, specs, priceValue }]，通常來自多天的快照
+// 回傳 Map(配置 => 價格列表)
+function buildPriceHistory(products) {
+  const history = new Map();
+  for (const product of products) {
+    const key = getConfigurationKey(product);
+    if (!key || !product.priceValue) continue;
+    if (!history.has(key)) history.set(key, []);
+    history.get(key).push(product.priceValue);
+  }
+  return history;
+}
+
+function getPricePerGB(product, field) {
+  const gb = parseGB((product.specs || {})[field]);
+  return gb && product.priceValue ? product.priceValue / gb : null;
+}
+
+// 比參考值便宜的百分比，例如參考值 100、價格 80 → 25
+function toValuePercent(reference, actual) {
+  return reference && actual ? (reference / actual - 1) * 100 : null;
+}
+
+const round = (value) =>
+  value === null ? null : Math.round(value * 10) / 10;
+
+// 回傳 Map(url => 評分)，沒有足夠資料評分的產品 score 為 null 且不列入排名
+function scoreDeals(products, priceHistory = new Map()) {
+  const peerGroups = new Map();
+  for (const product of products) {
+    const key = getPeerKey(product);
+    if (!key || !product.priceValue) continue;
+    if (!peerGroups.has(key)) peerGroups.set(key, []);
+    peerGroups.get(key).push(product);
+  }
+
+  const peerMedians = new Map();
+  for (const [key, peers] of peerGroups) {
+    if (peers.length < MIN_PEER_COUNT) continue;
+    const medianOf = (field) =>
+      median(
+        peers
+          .map((peer) => getPricePerGB(peer, field))
+          .filter((value) => value !== null)
+      );
+    peerMedians.set(key, { memory: medianOf('memory'), storage: medianOf('storage') });
+  }
+
+  const deals = new Map();
+  for (const product of products) {
+    const memoryPricePerGB = getPricePerGB(product, 'memory');
+    const storagePricePerGB = getPricePerGB(product, 'storage');
+    const peerMedian = peerMedians.get(getPeerKey(product));
+
+    const specValues = peerMedian
+      ? [
+          toValuePercent(peerMedian.memory, memoryPricePerGB),
+          toValuePercent(peerMedian.storage, storagePricePerGB)
+        ].filter((value) => value !== null)
+      : [];
+    const specValue =
+      specValues.length > 0
+        ? specValues.reduce((sum, value) => sum + value, 0) / specValues.length
+        : null;
+
+    const historyPrices = priceHistory.get(getConfigurationKey(product)) || [];
+    const historicalMedian =
+      historyPrices.length >= MIN_HISTORY_SAMPLES ? median(historyPrices) : null;
+    const historyValue = toValuePercent(historicalMedian, product.priceValue);
+
+    const components = [specValue, historyValue].filter((value) => value !== null);
+    deals.set(product.url, {
+      score:
+        components.length > 0
+          ? round(components.reduce((sum, value) => sum + value, 0) / components.length)
+          : null,
+      specValue: round(specValue),
+      historyValue: round(historyValue),
+      memoryPricePerGB: round(memoryPricePerGB),
+      storagePricePerGB: round(storagePricePerGB),
+      historicalMedian,
+      historySamples: historyPrices.length,
+      rank: null,
+      total: null,
+      topPercent: null
+    });
+  }
+
+  const ranked = Array.from(deals.values())
+    .filter((deal) => deal.score !== null)
+    .sort((a, b) => b.score - a.score);
+  ranked.forEach((deal, index) => {
+    deal.rank = index + 1;
+    deal.total = ranked.length;
+    deal.topPercent = Math.ceil(((index + 1) / ranked.length) * 100);
+  });
+
+  return deals;
+}
+
+module.exports = {
+  buildPriceHistory,
+  scoreDeals,
+  getConfigurationKey,
+  parseGB,
+  median
+};
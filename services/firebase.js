@@ -1,4 +1,9 @@
 const admin = require('firebase-admin');
+const {
+  extractPartNumber,
+  getProductKey,
+  getProductId
+} = require('./productIdentity');
 
 class FirebaseService {
   constructor() {
@@ -99,6 +104,136 @@ class FirebaseService {
     });
   }
 
+  // 設為 null 時移除 Discord 通知
+  async updateUserDiscordWebhook(lineUserId, discordWebhookUrl) {
+    const userRef = this.db.collection('users').doc(lineUserId);
+    await userRef.update({
+      discordWebhookUrl,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  // slackTarget 為 incoming webhook 網址或頻道 ID，設為 null 時移除 Slack 通知
+  async updateUserSlackTarget(lineUserId, slackTarget) {
+    const userRef = this.db.collection('users').doc(lineUserId);
+    await userRef.update({
+      slackTarget,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  // webhookUrl 設為 null 時移除自訂 webhook，密鑰保留供之後重新設定使用
+  async updateUserWebhook(lineUserId, { webhookUrl, webhookSecret }) {
+    const userRef = this.db.collection('users').doc(lineUserId);
+    await userRef.update({
+      webhookUrl,
+      ...(webhookSecret !== undefined && { webhookSecret }),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  // 自訂 webhook 的發送記錄，文件 ID 為 delivery ID
+  async saveWebhookDelivery(lineUserId, delivery) {
+    try {
+      await this.db.collection('users').doc(lineUserId)
+        .collection('webhook_deliveries').doc(delivery.id).set(delivery);
+    } catch (error) {
+      console.error('儲存 webhook 發送記錄失敗:', error);
+    }
+  }
+
+  // 只查詢失敗記錄時在最近 200 筆中篩選，不需要建立複合索引
+  async getWebhookDeliveries(lineUserId, { limit = 50, failedOnly = false } = {}) {
+    try {
+      const snapshot = await this.db.collection('users').doc(lineUserId)
+        .collection('webhook_deliveries')
+        .orderBy('createdAt', 'desc')
+        .limit(failedOnly ? 200 : limit)
+        .get();
+
+      const deliveries = snapshot.docs.map(doc => doc.data());
+      return (failedOnly ? deliveries.filter(delivery => !delivery.success) : deliveries).slice(0, limit);
+    } catch (error) {
+      console.error('取得 webhook 發送記錄失敗:', error);
+      return [];
+    }
+  }
+
+  // selfHostedPush 為 { service, serverUrl, topic, token }，設為 null 時移除自架推播
+  async updateUserSelfHostedPush(lineUserId, selfHostedPush) {
+    const userRef = this.db.collection('users').doc(lineUserId);
+    await userRef.update({
+      selfHostedPush,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  // 瀏覽器推播訂閱存在用戶文件的 pushSubscriptions，同一 id（由 endpoint 產生）會取代舊的訂閱
+  async savePushSubscription(lineUserId, subscription) {
+    const userRef = this.db.collection('users').doc(lineUserId);
+    await this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(userRef);
+      const subscriptions = (doc.data()?.pushSubscriptions || [])
+        .filter(existing => existing.id !== subscription.id);
+      transaction.update(userRef, {
+        pushSubscriptions: [...subscriptions, subscription],
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    });
+  }
+
+  async removePushSubscription(lineUserId, subscriptionId) {
+    const userRef = this.db.collection('users').doc(lineUserId);
+    await this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(userRef);
+      const subscriptions = (doc.data()?.pushSubscriptions || [])
+        .filter(existing => existing.id !== subscriptionId);
+      transaction.update(userRef, {
+        pushSubscriptions: subscriptions,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    });
+  }
+
+  // 設為 null 時解除 Telegram 連結
+  async updateUserTelegramChat(lineUserId, telegramChatId) {
+    const userRef = this.db.collection('users').doc(lineUserId);
+    await userRef.update({
+      telegramChatId,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  async getUserByTelegramChatId(telegramChatId) {
+    const snapshot = await this.db.collection('users')
+      .where('telegramChatId', '==', telegramChatId)
+      .limit(1)
+      .get();
+    return snapshot.empty ? null : { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+  }
+
+  // Telegram 連結代碼，文件 ID 為代碼本身
+  async saveTelegramLinkCode(code, lineUserId, expiresAt) {
+    await this.db.collection('telegram_link_codes').doc(code).set({
+      lineUserId,
+      expiresAt,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  // 代碼只能使用一次，讀取後立即刪除；不存在或已過期時回傳 null
+  async consumeTelegramLinkCode(code) {
+    const codeRef = this.db.collection('telegram_link_codes').doc(code);
+    return this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(codeRef);
+      if (!doc.exists) return null;
+
+      transaction.delete(codeRef);
+      const { lineUserId, expiresAt } = doc.data();
+      return new Date(expiresAt) > new Date() ? lineUserId : null;
+    });
+  }
+
   async updateUserSummarySettings(lineUserId, summarySettings) {
     const userRef = this.db.collection('users').doc(lineUserId);
     await userRef.update({
@@ -115,7 +250,7 @@ class FirebaseService {
     });
   }
 
-  // 摘要功能相關方法
+  // 摘要功能相關方法（依產品第一次出現的時間查詢）
   async getProductsFromDate(date) {
     try {
       const startOfDay = new Date(date);
@@ -124,8 +259,8 @@ class FirebaseService {
       endOfDay.setHours(23, 59, 59, 999);
 
       const snapshot = await this.db.collection('products')
-        .where('createdAt', '>=', startOfDay)
-        .where('createdAt', '<=', endOfDay)
+        .where('firstSeen', '>=', startOfDay)
+        .where('firstSeen', '<=', endOfDay)
         .get();
 
       return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
@@ -138,9 +273,9 @@ class FirebaseService {
   async getProductsFromDateRange(startDate, endDate) {
     try {
       const snapshot = await this.db.collection('products')
-        .where('createdAt', '>=', startDate)
-        .where('createdAt', '<=', endDate)
-        .orderBy('createdAt', 'desc')
+        .where('firstSeen', '>=', startDate)
+        .where('firstSeen', '<=', endDate)
+        .orderBy('firstSeen', 'desc')
         .get();
 
       return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
@@ -153,7 +288,7 @@ class FirebaseService {
   async getAllProducts() {
     try {
       const snapshot = await this.db.collection('products')
-        .orderBy('createdAt', 'desc')
+        .orderBy('firstSeen', 'desc')
         .get();
 
       return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
@@ -207,6 +342,11 @@ class FirebaseService {
     await this.db.collection('users').doc(lineUserId).collection('trackingRules').doc(ruleId).update(updateData);
   }
 
+  // 通知狀態由系統維護，不更新 updatedAt
+  async updateRuleAlertState(lineUserId, ruleId, alertState) {
+    await this.db.collection('users').doc(lineUserId).collection('trackingRules').doc(ruleId).update({ alertState });
+  }
+
   async deleteTrackingRule(lineUserId, ruleId) {
     // 先檢查規則是否存在
     const ruleRef = this.db.collection('users').doc(lineUserId).collection('trackingRules').doc(ruleId);
@@ -219,22 +359,61 @@ class FirebaseService {
     await ruleRef.delete();
   }
 
+  // 關注的產品，文件 ID 為產品 ID，同一產品不會重複關注
+  async getUserWatches(lineUserId) {
+    const snapshot = await this.db.collection('users').doc(lineUserId).collection('watches').get();
+    return snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+  }
+
+  async saveWatch(lineUserId, watch) {
+    const watchId = getProductId(watch.productKey);
+    await this.db.collection('users').doc(lineUserId).collection('watches').doc(watchId).set({
+      ...watch,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return watchId;
+  }
+
+  async updateWatchState(lineUserId, watchId, lastKnown) {
+    await this.db.collection('users').doc(lineUserId).collection('watches').doc(watchId).update({ lastKnown });
+  }
+
+  async deleteWatch(lineUserId, watchId) {
+    const watchRef = this.db.collection('users').doc(lineUserId).collection('watches').doc(watchId);
+    const doc = await watchRef.get();
+
+    if (!doc.exists) {
+      throw new Error(`關注 ${watchId} 不存在`);
+    }
+
+    await watchRef.delete();
+  }
+
   // 產品歷史管理
+  async getProduct(productKey) {
+    const doc = await this.db.collection('products').doc(getProductId(productKey)).get();
+    return doc.exists ? doc.data() : null;
+  }
+
   async getProductHistory() {
     const snapshot = await this.db.collection('products').get();
     const products = new Map();
     
     snapshot.docs.forEach(doc => {
       const data = doc.data();
-      // 使用已儲存的 productKey，如果沒有則生成一個
-      const productKey = data.productKey || this.getProductKey(data.url);
+      // 依網址重新計算 key，尚未遷移的舊文件也能對應到型號
+      const productKey = data.url ? getProductKey(data) : data.productKey;
       products.set(productKey, data);
     });
     
     return products;
   }
 
-  async saveProductHistory(products) {
+  // previousProducts 為 getProductHistory() 的結果，用來判斷是否需要寫入 firstSeen
+  async saveProductHistory(products, previousProducts = new Map()) {
     const timestamp = admin.firestore.FieldValue.serverTimestamp();
     
     // Firestore 批次寫入限制為 500 個操作，所以分批處理
@@ -245,30 +424,235 @@ class FirebaseService {
       const batchProducts = products.slice(i, i + batchSize);
       
       batchProducts.forEach(product => {
-        // 使用產品基礎 URL 作為文檔 ID
-        const productKey = this.getProductKey(product.url);
-        const productRef = this.db.collection('products').doc(this.getProductId(productKey));
-        batch.set(productRef, {
+        // 使用產品型號作為文檔 ID
+        const productKey = getProductKey(product);
+        const productRef = this.db.collection('products').doc(getProductId(productKey));
+        const previous = previousProducts.get(productKey);
+        const productData = {
           ...product,
-          productKey: productKey, // 額外儲存產品基礎 URL
+          productKey: productKey, // 額外儲存產品型號
+          status: 'available',
+          goneSince: null,
           lastSeen: timestamp,
           updatedAt: timestamp
-        }, { merge: true });
+        };
+        if (!previous || !previous.firstSeen) {
+          productData.firstSeen = timestamp;
+        }
+        batch.set(productRef, productData, { merge: true });
       });
       
       await batch.commit();
     }
   }
 
-  // 獲取產品的唯一標識符（移除 URL 中的動態參數）
-  getProductKey(url) {
-    return url.split('?')[0]; // 移除查詢參數，只保留基礎 URL
+  // 將本次爬取中消失的產品標記為已下架，重新出現時才能判斷為補貨
+  async markProductsGone(productKeys) {
+    const timestamp = admin.firestore.FieldValue.serverTimestamp();
+    const batchSize = 450;
+
+    for (let i = 0; i < productKeys.length; i += batchSize) {
+      const batch = this.db.batch();
+
+      productKeys.slice(i, i + batchSize).forEach(productKey => {
+        const productRef = this.db.collection('products').doc(getProductId(productKey));
+        batch.set(productRef, {
+          status: 'gone',
+          goneSince: timestamp,
+          updatedAt: timestamp
+        }, { merge: true });
+      });
+
+      await batch.commit();
+    }
+  }
+
+  // 產品上架與下架的時間點存放在 products/{id}/availability 子集合
+  // events: [{ productKey, type, previousGoneSince }]，type 為 appeared（新上架或重新上架）或 gone（下架），
+  // 重新上架時另外記錄上次的下架時間
+  async recordAvailabilityEvents(events) {
+    const timestamp = admin.firestore.FieldValue.serverTimestamp();
+    const batchSize = 450;
+
+    for (let i = 0; i < events.length; i += batchSize) {
+      const batch = this.db.batch();
+
+      events.slice(i, i + batchSize).forEach(({ productKey, type, previousGoneSince = null }) => {
+        const eventRef = this.db.collection('products')
+          .doc(getProductId(productKey))
+          .collection('availability')
+          .doc();
+        batch.set(eventRef, { type, at: timestamp, previousGoneSince });
+      });
+
+      await batch.commit();
+    }
+  }
+
+  // 產品文件、上下架紀錄與價格歷史，依時間由舊到新排序；產品不存在時回傳 null
+  async getProductLifecycle(productId) {
+    const productRef = this.db.collection('products').doc(productId);
+    const [doc, availability, priceHistory] = await Promise.all([
+      productRef.get(),
+      productRef.collection('availability').orderBy('at', 'asc').get(),
+      productRef.collection('priceHistory').orderBy('recordedAt', 'asc').get()
+    ]);
+
+    if (!doc.exists) return null;
+
+    return {
+      product: { id: doc.id, ...doc.data() },
+      availability: availability.docs.map(entry => entry.data()),
+      priceHistory: priceHistory.docs.map(entry => entry.data())
+    };
+  }
+
+  // 每個產品的價格歷史存放在 products/{id}/priceHistory 子集合
+  async savePriceHistory(products) {
+    const timestamp = admin.firestore.FieldValue.serverTimestamp();
+    const batchSize = 450;
+
+    for (let i = 0; i < products.length; i += batchSize) {
+      const batch = this.db.batch();
+
+      products.slice(i, i + batchSize).forEach(product => {
+        const historyRef = this.db.collection('products')
+          .doc(getProductId(getProductKey(product)))
+          .collection('priceHistory')
+          .doc();
+        batch.set(historyRef, {
+          price: product.price,
+          priceValue: product.priceValue ?? null,
+          currency: product.currency || null,
+          previousPriceValue: product.priceChange ? product.priceChange.oldValue : null,
+          recordedAt: timestamp
+        });
+      });
+
+      await batch.commit();
+    }
+  }
+
+  async getPriceHistory(productKey, limit = 50) {
+    const snapshot = await this.db.collection('products')
+      .doc(getProductId(productKey))
+      .collection('priceHistory')
+      .orderBy('recordedAt', 'desc')
+      .limit(limit)
+      .get();
+
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
   }
 
-  getProductId(url) {
-    // 使用完整的 URL 路徑來生成唯一 ID，避免重複
-    const urlPath = url.replace(/^https?:\/\/[^\/]+/, ''); // 移除 domain
-    return urlPath.replace(/[^a-zA-Z0-9]/g, '_').replace(/_+/g, '_').replace(/^_|_$/g, '');
+  // 舊版以網址為 key 的產品文件與每日快照，合併到以型號為 key 的新格式（只執行一次）
+  async migrateProductKeys() {
+    try {
+      const migrationRef = this.db.collection('system').doc('migrations');
+      const migrationDoc = await migrationRef.get();
+      if (migrationDoc.exists && migrationDoc.data().productKeys) return;
+
+      console.log('🔁 開始將產品識別遷移為型號...');
+      const mergedCount = await this.migrateProductDocuments();
+      const snapshotCount = await this.migrateSnapshotProducts();
+
+      await migrationRef.set({
+        productKeys: true,
+        productKeysMigratedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+      console.log(`✅ 產品識別遷移完成: 合併 ${mergedCount} 個產品文件，更新 ${snapshotCount} 個快照`);
+    } catch (error) {
+      console.error('產品識別遷移失敗:', error);
+    }
+  }
+
+  async migrateProductDocuments() {
+    const snapshot = await this.db.collection('products').get();
+    let mergedCount = 0;
+
+    for (const doc of snapshot.docs) {
+      const data = doc.data();
+      if (!data.url) continue;
+
+      const partNumber = data.partNumber || extractPartNumber(data.url);
+      const productKey = getProductKey({ ...data, partNumber });
+      const targetId = getProductId(productKey);
+      if (doc.id === targetId && data.productKey === productKey) continue;
+
+      const targetRef = this.db.collection('products').doc(targetId);
+
+      if (doc.id === targetId) {
+        await doc.ref.update({ productKey, partNumber: partNumber || null });
+      } else {
+        // 同一型號可能已有新格式的文件（slug 變更後重新建立），合併兩者
+        const target = await targetRef.get();
+        const merged = this.mergeProductRecords(data, target.exists ? target.data() : null);
+        await targetRef.set({ ...merged, productKey, partNumber: partNumber || null });
+
+        // 價格歷史可能超過批次寫入 500 個操作的上限，分批搬移（每筆需要寫入與刪除兩個操作）；
+        // 舊文件最後才刪除，中途失敗時下次啟動會重新合併
+        const priceHistory = await doc.ref.collection('priceHistory').get();
+        const batchSize = 225;
+        for (let i = 0; i < priceHistory.docs.length; i += batchSize) {
+          const batch = this.db.batch();
+          priceHistory.docs.slice(i, i + batchSize).forEach(entry => {
+            batch.set(targetRef.collection('priceHistory').doc(entry.id), entry.data());
+            batch.delete(entry.ref);
+          });
+          await batch.commit();
+        }
+        await doc.ref.delete();
+      }
+
+      mergedCount++;
+    }
+
+    return mergedCount;
+  }
+
+  // 較晚看到的文件為主，firstSeen 取較早的，任一文件在架上即視為在架
+  mergeProductRecords(record, other) {
+    if (!other) return record;
+
+    const seenAt = data => (data.lastSeen && data.lastSeen.toMillis ? data.lastSeen.toMillis() : 0);
+    const [older, newer] = seenAt(record) >= seenAt(other) ? [other, record] : [record, other];
+    const merged = { ...older, ...newer };
+
+    const firstSeen = [record.firstSeen, other.firstSeen]
+      .filter(value => value && value.toMillis)
+      .sort((a, b) => a.toMillis() - b.toMillis())[0];
+    if (firstSeen) merged.firstSeen = firstSeen;
+
+    merged.detailSpecs = newer.detailSpecs || older.detailSpecs || null;
+    if (record.status !== 'gone' || other.status !== 'gone') {
+      merged.status = 'available';
+      merged.goneSince = null;
+    }
+
+    return merged;
+  }
+
+  async migrateSnapshotProducts() {
+    const snapshot = await this.db.collection('daily_snapshots').get();
+    let updatedCount = 0;
+
+    for (const doc of snapshot.docs) {
+      const data = doc.data();
+      const seenKeys = new Set();
+      const products = [];
+
+      for (const product of data.products || []) {
+        const partNumber = product.partNumber || extractPartNumber(product.url);
+        const productKey = getProductKey({ ...product, partNumber });
+        if (seenKeys.has(productKey)) continue;
+        seenKeys.add(productKey);
+        products.push(partNumber ? { ...product, partNumber } : product);
+      }
+
+      await doc.ref.update({ products, totalCount: products.length });
+      updatedCount++;
+    }
+
+    return updatedCount;
   }
 
   // 通知歷史
@@ -370,7 +754,8 @@ class FirebaseService {
       const dateStr = this.formatDateString(date);
       const snapshotData = {
         date: dateStr,
-        products: products,
+        // 產品頁完整規格只保存在 products 集合，避免快照文件超過大小限制
+        products: products.map(({ detailSpecs, ...product }) => product),
         totalCount: products.length,
         createdAt: admin.firestore.FieldValue.serverTimestamp()
       };
@@ -416,6 +801,21 @@ class FirebaseService {
     }
   }
 
+  // 取得指定日期（含）之後的所有快照，依日期由舊到新排序
+  async getSnapshotsSince(date) {
+    try {
+      const snapshot = await this.db.collection('daily_snapshots')
+        .where('date', '>=', this.formatDateString(date))
+        .orderBy('date', 'asc')
+        .get();
+
+      return snapshot.docs.map(doc => doc.data());
+    } catch (error) {
+      console.error('獲取快照列表失敗:', error);
+      return [];
+    }
+  }
+
   formatDateString(date) {
     return date.toISOString().split('T')[0]; // YYYY-MM-DD
   }
@@ -442,6 +842,95 @@ class FirebaseService {
       console.error('清理舊快照失敗:', error);
     }
   }
+
+  // 市場統計
+  async getAnalyticsState() {
+    const doc = await this.db.collection('system').doc('analytics').get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  async saveAnalyticsState(state) {
+    await this.db.collection('system').doc('analytics').set({
+      ...state,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  async getAnalyticsConfigurations() {
+    const snapshot = await this.db.collection('analytics_configurations').get();
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  async saveAnalyticsConfigurations(configurations) {
+    const batchSize = 450;
+
+    for (let i = 0; i < configurations.length; i += batchSize) {
+      const batch = this.db.batch();
+
+      configurations.slice(i, i + batchSize).forEach(stats => {
+        const ref = this.db.collection('analytics_configurations')
+          .doc(getProductId(stats.configurationKey));
+        batch.set(ref, {
+          ...stats,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      });
+
+      await batch.commit();
+    }
+  }
+
+  // 爬取健康監控
+  async getScrapeBaseline() {
+    try {
+      const doc = await this.db.collection('system').doc('scrape_baseline').get();
+      return doc.exists ? doc.data() : null;
+    } catch (error) {
+      console.error('取得爬取基準失敗:', error);
+      return null;
+    }
+  }
+
+  async saveScrapeBaseline(baseline) {
+    try {
+      await this.db.collection('system').doc('scrape_baseline').set({
+        ...baseline,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    } catch (error) {
+      console.error('儲存爬取基準失敗:', error);
+    }
+  }
+
+  async saveScrapeHealthRecord(report) {
+    try {
+      const docRef = await this.db.collection('scrape_health').add({
+        ...report,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return docRef.id;
+    } catch (error) {
+      console.error('儲存爬取異常記錄失敗:', error);
+      return null;
+    }
+  }
+
+  async getScrapeHealthRecords(limit = 20) {
+    try {
+      const snapshot = await this.db.collection('scrape_health')
+        .orderBy('createdAt', 'desc')
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => {
+        const { createdAt, ...data } = doc.data();
+        return { id: doc.id, ...data };
+      });
+    } catch (error) {
+      console.error('取得爬取異常記錄失敗:', error);
+      return [];
+    }
+  }
 }
 
 module.exports = FirebaseService;
\ No newline at end of file
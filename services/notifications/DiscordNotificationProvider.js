@@ -0,0 +1,180 @@
+const NotificationProvider = require('./NotificationProvider');
+const { isAllowedWebhookUrl } = require('./webhookUrl');
+const { EVENT_LABELS, truncate, splitText, toAbsoluteUrl } = require('./messageFormat');
+
+// Discord 一則訊息最多 10 個 embed，內容最多 2000 字
+const MAX_EMBEDS = 10;
+const MAX_CONTENT_LENGTH = 2000;
+const DEFAULT_ALLOWED_HOSTS = ['discord.com', 'discordapp.com', 'canary.discord.com', 'ptb.discord.com'];
+
+const EVENT_COLORS = {
+  new: 0x30d158,
+  restock: 0x007aff,
+  price_drop: 0xff9f0a,
+  price_increase: 0xff453a,
+  listing_change: 0x86868b,
+  watch_available: 0x007aff,
+  watch_price_change: 0xff9f0a,
+  watch_gone: 0xff453a
+};
+
+// 每位用戶在網頁設定自己的 Discord webhook 網址，以 embed 顯示產品圖片、價格、符合規則與連結
+class DiscordNotificationProvider extends NotificationProvider {
+  constructor() {
+    super('discord');
+    this.allowedHosts = DEFAULT_ALLOWED_HOSTS;
+  }
+
+  async initialize(config) {
+    try {
+      const validation = await this.validateConfig(config);
+      if (!validation.isValid) {
+        throw new Error(`Discord配置無效: ${validation.errors.join(', ')}`);
+      }
+
+      if (config.allowedHosts && config.allowedHosts.length > 0) {
+        this.allowedHosts = config.allowedHosts;
+      }
+      this.username = config.username || 'Apple 整修機追蹤器';
+      this.timeout = config.timeout || 10000;
+
+      this.enabled = true;
+      return true;
+    } catch (error) {
+      console.error('❌ Discord 通知提供者初始化失敗:', error.message);
+      this.enabled = false;
+      return false;
+    }
+  }
+
+  async validateConfig(config) {
+    const errors = [];
+
+    if (config.allowedHosts !== undefined && !Array.isArray(config.allowedHosts)) {
+      errors.push('allowedHosts 必須是陣列');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  isValidWebhookUrl(webhookUrl) {
+    return isAllowedWebhookUrl(webhookUrl, this.allowedHosts);
+  }
+
+  async sendNotification(webhookUrl, message, metadata = {}) {
+    if (!this.enabled) {
+      throw new Error('Discord 通知提供者未初始化');
+    }
+
+    try {
+      if (!this.isValidWebhookUrl(webhookUrl)) {
+        throw new Error('不允許的 Discord webhook 網址');
+      }
+
+      for (const payload of this.buildPayloads(message, metadata)) {
+        await this.postWebhook(webhookUrl, payload);
+      }
+
+      return {
+        success: true,
+        provider: 'discord',
+        userId: webhookUrl,
+        sentAt: new Date().toISOString()
+      };
+    } catch (error) {
+      return {
+        success: false,
+        provider: 'discord',
+        userId: webhookUrl,
+        error: error.message,
+        sentAt: new Date().toISOString()
+      };
+    }
+  }
+
+  // 有產品資料時以訊息開頭作為內容、每個產品一個 embed；其他通知（摘要、管理員訊息）只送文字
+  buildPayloads(message, metadata) {
+    const products = (metadata.products || []).slice(0, MAX_EMBEDS);
+
+    if (products.length === 0) {
+      return splitText(message, MAX_CONTENT_LENGTH).map(content => ({ username: this.username, content }));
+    }
+
+    return [{
+      username: this.username,
+      content: truncate(message.split('\n\n')[0], MAX_CONTENT_LENGTH),
+      embeds: products.map(product => this.buildEmbed(product))
+    }];
+  }
+
+  buildEmbed(product) {
+    const fields = [
+      { name: '💰 價格', value: truncate(product.price || '價格未找到', 1024), inline: true }
+    ];
+    if (product.priceChange) {
+      fields.push({
+        name: product.priceChange.direction === 'increase' ? '📈 漲價' : '📉 降價',
+        value: `${product.priceChange.oldPrice} → ${product.priceChange.newPrice}（${product.priceChange.percent}%）`,
+        inline: true
+      });
+    }
+    if (product.previousPrice) {
+      fields.push({ name: '💲 原本價格', value: truncate(product.previousPrice, 1024), inline: true });
+    }
+    if (product.deal?.rank) {
+      fields.push({
+        name: '🏆 價值排名',
+        value: `${product.deal.rank}/${product.deal.total}（前 ${product.deal.topPercent}%）`,
+        inline: true
+      });
+    }
+    if (product.matchingRules && product.matchingRules.length > 0) {
+      fields.push({ name: '📋 符合規則', value: truncate(product.matchingRules.join(', '), 1024) });
+    }
+
+    const embed = {
+      title: truncate(product.name || product.partNumber || '產品', 256),
+      color: EVENT_COLORS[product.eventType] || EVENT_COLORS.new,
+      fields
+    };
+    if (EVENT_LABELS[product.eventType]) {
+      embed.author = { name: EVENT_LABELS[product.eventType] };
+    }
+    if (product.url) {
+      embed.url = product.url;
+    }
+    const image = toAbsoluteUrl(product.image);
+    if (image) {
+      embed.thumbnail = { url: image };
+    }
+
+    return embed;
+  }
+
+  // 遇到速率限制（429）時依 retry_after 等待後重試一次
+  async postWebhook(webhookUrl, payload, retried = false) {
+    const response = await fetch(webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (response.status === 429 && !retried) {
+      const body = await response.json().catch(() => ({}));
+      const waitMs = Math.min((body.retry_after || 1) * 1000, 10000);
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+      return this.postWebhook(webhookUrl, payload, true);
+    }
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw new Error(`Discord webhook 回應 ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+    }
+  }
+}
+
+module.exports = DiscordNotificationProvider;
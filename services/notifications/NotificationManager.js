@@ -1,5 +1,11 @@
 const LineNotificationProvider = require('./LineNotificationProvider');
 const EmailNotificationProvider = require('./EmailNotificationProvider');
+const DiscordNotificationProvider = require('./DiscordNotificationProvider');
+const TelegramNotificationProvider = require('./TelegramNotificationProvider');
+const SlackNotificationProvider = require('./SlackNotificationProvider');
+const WebhookNotificationProvider = require('./WebhookNotificationProvider');
+const WebPushNotificationProvider = require('./WebPushNotificationProvider');
+const SelfHostedPushNotificationProvider = require('./SelfHostedPushNotificationProvider');
 
 class NotificationManager {
   constructor() {
@@ -11,6 +17,12 @@ class NotificationManager {
     // 註冊所有可用的通知提供者
     this.registerProvider('line', new LineNotificationProvider());
     this.registerProvider('email', new EmailNotificationProvider());
+    this.registerProvider('discord', new DiscordNotificationProvider());
+    this.registerProvider('telegram', new TelegramNotificationProvider());
+    this.registerProvider('slack', new SlackNotificationProvider());
+    this.registerProvider('webhook', new WebhookNotificationProvider());
+    this.registerProvider('webpush', new WebPushNotificationProvider());
+    this.registerProvider('selfhosted', new SelfHostedPushNotificationProvider());
 
     // 初始化已啟用的提供者
     this.activeProviders = [];
@@ -38,36 +50,69 @@ class NotificationManager {
     return this.providers.get(name);
   }
 
-  async sendNotification(user, message, metadata = {}) {
-    const results = [];
-    
-    // 根據用戶偏好發送通知
+  // 根據不同提供者取得對應的用戶ID，用戶沒有設定時回傳 null
+  getRecipient(providerName, user, metadata = {}) {
+    switch (providerName) {
+      case 'line':
+        return user.lineUserId || null;
+      case 'email':
+        return user.email || null;
+      case 'discord':
+        return user.discordWebhookUrl || null;
+      case 'telegram':
+        return user.telegramChatId || null;
+      case 'slack':
+        // 規則指定的 Slack 目標優先於用戶設定
+        return metadata.slackTarget || user.slackTarget || null;
+      case 'webhook':
+        // 簽章需要用戶的密鑰，發送記錄依 LINE 用戶 ID 儲存
+        return user.webhookUrl ? {
+          url: user.webhookUrl,
+          secret: user.webhookSecret,
+          ownerId: user.lineUserId
+        } : null;
+      case 'webpush':
+        // 發送到用戶在各裝置訂閱的瀏覽器推播
+        return (user.pushSubscriptions || []).length > 0 ? {
+          subscriptions: user.pushSubscriptions,
+          ownerId: user.lineUserId
+        } : null;
+      case 'selfhosted':
+        // 用戶自架的 ntfy / Gotify 伺服器設定
+        return user.selfHostedPush || null;
+      default:
+        return null;
+    }
+  }
+
+  // 依用戶偏好與規則指定的管道篩選提供者
+  getTargetProviders(user, metadata = {}) {
     const userPreferences = user.settings?.notifications || { line: true };
-    
-    for (const provider of this.activeProviders) {
+
+    return this.activeProviders.filter(provider => {
       const providerName = provider.getName();
-      
       // 檢查用戶是否啟用此通知方式
-      if (userPreferences[providerName] === false) {
-        continue;
-      }
+      if (userPreferences[providerName] === false) return false;
+      // 規則指定通知管道時只發送到這些管道
+      return !metadata.channels || metadata.channels.includes(providerName);
+    });
+  }
 
-      try {
-        let userId;
-        
-        // 根據不同提供者取得對應的用戶ID
-        switch (providerName) {
-          case 'line':
-            userId = user.lineUserId;
-            break;
-          case 'email':
-            userId = user.email;
-            break;
-          default:
-            console.warn(`未知的通知提供者: ${providerName}`);
-            continue;
-        }
+  // 實際會收到通知的管道（已啟用且用戶有設定聯絡資訊），沒有任何管道時發送必定失敗
+  getDeliverableChannels(user, metadata = {}) {
+    return this.getTargetProviders(user, metadata)
+      .map(provider => provider.getName())
+      .filter(providerName => this.getRecipient(providerName, user, metadata));
+  }
+
+  async sendNotification(user, message, metadata = {}) {
+    const results = [];
 
+    for (const provider of this.getTargetProviders(user, metadata)) {
+      const providerName = provider.getName();
+
+      try {
+        const userId = this.getRecipient(providerName, user, metadata);
         if (!userId) {
           console.warn(`用戶 ${user.lineUserId} 沒有 ${providerName} 聯絡資訊`);
           continue;
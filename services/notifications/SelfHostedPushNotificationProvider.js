@@ -0,0 +1,205 @@
+const NotificationProvider = require('./NotificationProvider');
+const { isAllowedWebhookUrl, isPublicWebhookUrl } = require('./webhookUrl');
+const { EVENT_LABELS, truncate, toAbsoluteUrl } = require('./messageFormat');
+
+const SERVICES = ['ntfy', 'gotify'];
+const NTFY_TOPIC_PATTERN = /^[-_A-Za-z0-9]{1,64}$/;
+const MAX_MESSAGE_LENGTH = 4000;
+
+// 規則優先順序對應各服務的優先等級（ntfy 1-5、Gotify 0-10）
+const PRIORITY_LEVELS = {
+  ntfy: { high: 5, normal: 3, low: 2 },
+  gotify: { high: 8, normal: 5, low: 2 }
+};
+
+// 發送到用戶自架的 ntfy 或 Gotify 伺服器，每個產品一則訊息，點擊開啟產品頁面並附上產品圖片
+// target 為用戶設定的 { service, serverUrl, topic, token }：
+//   ntfy：topic 必填，token 為選填的 access token
+//   Gotify：token 為 application token
+class SelfHostedPushNotificationProvider extends NotificationProvider {
+  constructor() {
+    super('selfhosted');
+    this.allowedHosts = [];
+  }
+
+  async initialize(config) {
+    try {
+      const validation = await this.validateConfig(config);
+      if (!validation.isValid) {
+        throw new Error(`自架推播配置無效: ${validation.errors.join(', ')}`);
+      }
+
+      this.allowedHosts = config.allowedHosts || [];
+      this.timeout = config.timeout || 10000;
+
+      this.enabled = true;
+      return true;
+    } catch (error) {
+      console.error('❌ 自架推播通知提供者初始化失敗:', error.message);
+      this.enabled = false;
+      return false;
+    }
+  }
+
+  async validateConfig(config) {
+    const errors = [];
+
+    if (config.allowedHosts !== undefined && !Array.isArray(config.allowedHosts)) {
+      errors.push('allowedHosts 必須是陣列');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  // 有設定 allowedHosts 時只允許這些主機（區域網路的伺服器常沒有 https，可使用 http），
+  // 否則接受任何公開的 https 伺服器
+  isValidServerUrl(serverUrl) {
+    return this.allowedHosts.length > 0
+      ? isAllowedWebhookUrl(serverUrl, this.allowedHosts, { allowHttp: true })
+      : isPublicWebhookUrl(serverUrl);
+  }
+
+  // 回傳錯誤訊息，格式正確時回傳 null
+  validateTarget(target) {
+    if (!target || !SERVICES.includes(target.service)) {
+      return '請選擇 ntfy 或 Gotify';
+    }
+    if (!this.isValidServerUrl(target.serverUrl)) {
+      return this.allowedHosts.length > 0
+        ? '伺服器不在管理員允許的主機中（SELF_HOSTED_PUSH_HOSTS）'
+        : '伺服器網址必須是公開的 https 網址；區域網路或 http 的伺服器需由管理員加入 SELF_HOSTED_PUSH_HOSTS';
+    }
+    if (target.service === 'ntfy' && !NTFY_TOPIC_PATTERN.test(target.topic || '')) {
+      return 'ntfy 主題只能包含英數字、- 與 _';
+    }
+    if (target.service === 'gotify' && !target.token) {
+      return 'Gotify 需要 application token';
+    }
+    return null;
+  }
+
+  async sendNotification(target, message, metadata = {}) {
+    if (!this.enabled) {
+      throw new Error('自架推播通知提供者未初始化');
+    }
+
+    const recipient = target.service === 'ntfy' ? target.topic : target.serverUrl;
+
+    try {
+      const error = this.validateTarget(target);
+      if (error) {
+        throw new Error(error);
+      }
+
+      for (const notification of this.buildNotifications(message, metadata)) {
+        if (target.service === 'ntfy') {
+          await this.publishNtfy(target, notification);
+        } else {
+          await this.publishGotify(target, notification);
+        }
+      }
+
+      return {
+        success: true,
+        provider: 'selfhosted',
+        userId: recipient,
+        sentAt: new Date().toISOString()
+      };
+    } catch (error) {
+      return {
+        success: false,
+        provider: 'selfhosted',
+        userId: recipient,
+        error: error.message,
+        sentAt: new Date().toISOString()
+      };
+    }
+  }
+
+  // 有產品資料時每個產品一則；其他通知以訊息第一行為標題
+  buildNotifications(message, metadata) {
+    const priority = PRIORITY_LEVELS.ntfy[metadata.priority] ? metadata.priority : 'normal';
+    const products = metadata.products || [];
+
+    if (products.length === 0) {
+      const [title, ...lines] = message.split('\n');
+      return [{
+        title: truncate(title, 200),
+        message: truncate(lines.join('\n').trim() || title, MAX_MESSAGE_LENGTH),
+        priority
+      }];
+    }
+
+    return products.map(product => {
+      const lines = [product.name || product.partNumber || '產品', `💰 ${product.price || '價格未找到'}`];
+      if (product.priceChange) {
+        const icon = product.priceChange.direction === 'increase' ? '📈' : '📉';
+        lines.push(`${icon} ${product.priceChange.oldPrice} → ${product.priceChange.newPrice}（${product.priceChange.percent}%）`);
+      }
+      if (product.previousPrice) {
+        lines.push(`💲 原本 ${product.previousPrice}`);
+      }
+      if (product.matchingRules && product.matchingRules.length > 0) {
+        lines.push(`📋 ${product.matchingRules.join(', ')}`);
+      }
+
+      return {
+        title: EVENT_LABELS[product.eventType] || '🍎 Apple 整修產品通知',
+        message: truncate(lines.join('\n'), MAX_MESSAGE_LENGTH),
+        priority,
+        click: product.url || null,
+        image: toAbsoluteUrl(product.image)
+      };
+    });
+  }
+
+  // 使用 ntfy 的 JSON 發布格式，發布到伺服器根路徑
+  async publishNtfy(target, notification) {
+    const body = {
+      topic: target.topic,
+      title: notification.title,
+      message: notification.message,
+      priority: PRIORITY_LEVELS.ntfy[notification.priority],
+      tags: ['apple']
+    };
+    if (notification.click) body.click = notification.click;
+    if (notification.image) body.attach = notification.image;
+
+    await this.post(target.serverUrl.replace(/\/$/, ''), body, target.token ? { Authorization: `Bearer ${target.token}` } : {});
+  }
+
+  // Gotify 以 extras 指定點擊網址與大圖（Android 客戶端支援）
+  async publishGotify(target, notification) {
+    const extras = {};
+    if (notification.click) extras['client::notification'] = { click: { url: notification.click } };
+    if (notification.image) {
+      extras['client::notification'] = { ...extras['client::notification'], bigImageUrl: notification.image };
+    }
+
+    await this.post(`${target.serverUrl.replace(/\/$/, '')}/message`, {
+      title: notification.title,
+      message: notification.message,
+      priority: PRIORITY_LEVELS.gotify[notification.priority],
+      ...(Object.keys(extras).length > 0 && { extras })
+    }, { 'X-Gotify-Key': target.token });
+  }
+
+  async post(url, body, headers) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw new Error(`伺服器回應 ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+    }
+  }
+}
+
+module.exports = SelfHostedPushNotificationProvider;
@@ -0,0 +1,233 @@
+const NotificationProvider = require('./NotificationProvider');
+const { isAllowedWebhookUrl } = require('./webhookUrl');
+const { EVENT_LABELS, truncate, splitText, toAbsoluteUrl } = require('./messageFormat');
+
+// Slack 一則訊息最多 50 個 block、section 文字最多 3000 字；
+// 每個產品使用 3 個 block，產品通知已由 createBatchMessages() 分成每則最多 10 個產品
+const MAX_PRODUCTS = 10;
+const MAX_SECTION_LENGTH = 3000;
+const DEFAULT_ALLOWED_HOSTS = ['hooks.slack.com'];
+
+const SPEC_FIELDS = [
+  ['chip', '晶片'],
+  ['memory', '記憶體'],
+  ['storage', '儲存空間'],
+  ['screenSize', '尺寸'],
+  ['color', '顏色']
+];
+
+// 以 Block Kit 發送通知，目標為 incoming webhook 網址；
+// 設定 Slack App 的 bot token 後也可以填管理員允許的頻道（allowedChannels），改用 chat.postMessage 發送
+class SlackNotificationProvider extends NotificationProvider {
+  constructor() {
+    super('slack');
+    this.allowedHosts = DEFAULT_ALLOWED_HOSTS;
+    this.botToken = null;
+    this.allowedChannels = [];
+  }
+
+  async initialize(config) {
+    try {
+      const validation = await this.validateConfig(config);
+      if (!validation.isValid) {
+        throw new Error(`Slack配置無效: ${validation.errors.join(', ')}`);
+      }
+
+      if (config.allowedHosts && config.allowedHosts.length > 0) {
+        this.allowedHosts = config.allowedHosts;
+      }
+      this.botToken = config.botToken || null;
+      this.allowedChannels = (config.allowedChannels || []).map(channel => channel.replace(/^#/, ''));
+      this.apiBaseUrl = (config.apiBaseUrl || 'https://slack.com/api').replace(/\/$/, '');
+      this.timeout = config.timeout || 10000;
+
+      this.enabled = true;
+      return true;
+    } catch (error) {
+      console.error('❌ Slack 通知提供者初始化失敗:', error.message);
+      this.enabled = false;
+      return false;
+    }
+  }
+
+  async validateConfig(config) {
+    const errors = [];
+
+    if (config.allowedHosts !== undefined && !Array.isArray(config.allowedHosts)) {
+      errors.push('allowedHosts 必須是陣列');
+    }
+    if (config.allowedChannels !== undefined && !Array.isArray(config.allowedChannels)) {
+      errors.push('allowedChannels 必須是陣列');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  isWebhookTarget(target) {
+    return /^https?:\/\//i.test(target);
+  }
+
+  // webhook 網址，或管理員允許的頻道（bot token 由所有用戶共用，不能讓用戶任意指定頻道）
+  isValidTarget(target) {
+    if (typeof target !== 'string' || !target) return false;
+    if (this.isWebhookTarget(target)) {
+      return isAllowedWebhookUrl(target, this.allowedHosts);
+    }
+    return !!this.botToken && this.allowedChannels.includes(target.replace(/^#/, ''));
+  }
+
+  async sendNotification(target, message, metadata = {}) {
+    if (!this.enabled) {
+      throw new Error('Slack 通知提供者未初始化');
+    }
+
+    try {
+      if (!this.isValidTarget(target)) {
+        throw new Error('不允許的 Slack webhook 網址或頻道');
+      }
+
+      for (const payload of this.buildPayloads(message, metadata)) {
+        if (this.isWebhookTarget(target)) {
+          await this.postWebhook(target, payload);
+        } else {
+          await this.postMessage(target, payload);
+        }
+      }
+
+      return {
+        success: true,
+        provider: 'slack',
+        userId: target,
+        sentAt: new Date().toISOString()
+      };
+    } catch (error) {
+      return {
+        success: false,
+        provider: 'slack',
+        userId: target,
+        error: error.message,
+        sentAt: new Date().toISOString()
+      };
+    }
+  }
+
+  // 有產品資料時以原訊息的標題開頭、每個產品一組 block；其他通知依長度分段發送文字
+  buildPayloads(message, metadata) {
+    const products = (metadata.products || []).slice(0, MAX_PRODUCTS);
+
+    if (products.length === 0) {
+      return splitText(message, MAX_SECTION_LENGTH).map(text => ({
+        text,
+        blocks: [{ type: 'section', text: { type: 'mrkdwn', text: truncate(this.escape(text), MAX_SECTION_LENGTH) } }]
+      }));
+    }
+
+    const title = truncate(message.split('\n\n')[0], MAX_SECTION_LENGTH);
+    return [{
+      text: title,
+      blocks: [
+        { type: 'section', text: { type: 'mrkdwn', text: truncate(this.escape(title), MAX_SECTION_LENGTH) } },
+        ...products.flatMap(product => this.buildProductBlocks(product))
+      ]
+    }];
+  }
+
+  buildProductBlocks(product) {
+    const name = this.escape(product.name || product.partNumber || '產品');
+    const lines = [product.url ? `*<${product.url}|${name}>*` : `*${name}*`];
+    if (EVENT_LABELS[product.eventType]) {
+      lines.push(EVENT_LABELS[product.eventType]);
+    }
+    if (product.priceChange) {
+      const { direction, oldPrice, newPrice, percent } = product.priceChange;
+      const icon = direction === 'increase' ? '📈' : '📉';
+      lines.push(this.escape(`${icon} ${oldPrice} → ${newPrice}（${percent}%）`));
+    }
+    if (product.previousPrice) {
+      lines.push(this.escape(`💲 ${product.previousPrice} → ${product.price}`));
+    }
+    if (product.matchingRules && product.matchingRules.length > 0) {
+      lines.push(this.escape(`📋 符合規則: ${product.matchingRules.join(', ')}`));
+    }
+
+    const specs = product.specs || {};
+    const fields = [
+      `*💰 價格*\n${this.escape(product.price || '價格未找到')}`,
+      ...SPEC_FIELDS
+        .filter(([key]) => specs[key])
+        .map(([key, label]) => `*${label}*\n${this.escape(specs[key])}`)
+    ].map(text => ({ type: 'mrkdwn', text: truncate(text, 2000) }));
+
+    const section = {
+      type: 'section',
+      text: { type: 'mrkdwn', text: truncate(lines.join('\n'), MAX_SECTION_LENGTH) },
+      fields
+    };
+    const image = toAbsoluteUrl(product.image);
+    if (image) {
+      section.accessory = { type: 'image', image_url: image, alt_text: truncate(product.name || '產品圖片', 2000) };
+    }
+
+    const blocks = [section];
+    if (product.url) {
+      blocks.push({
+        type: 'actions',
+        elements: [{
+          type: 'button',
+          text: { type: 'plain_text', text: 'View on Apple' },
+          url: product.url
+        }]
+      });
+    }
+    blocks.push({ type: 'divider' });
+    return blocks;
+  }
+
+  // mrkdwn 需跳脫 &、<、>
+  escape(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  // 遇到速率限制（429）時依 Retry-After 等待後重試一次
+  async postWebhook(webhookUrl, payload, retried = false) {
+    const response = await fetch(webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (response.status === 429 && !retried) {
+      const waitMs = Math.min(Number(response.headers.get('retry-after') || 1) * 1000, 10000);
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+      return this.postWebhook(webhookUrl, payload, true);
+    }
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw new Error(`Slack webhook 回應 ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+    }
+  }
+
+  async postMessage(channel, payload) {
+    const response = await fetch(`${this.apiBaseUrl}/chat.postMessage`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json; charset=utf-8',
+        Authorization: `Bearer ${this.botToken}`
+      },
+      body: JSON.stringify({ channel, ...payload }),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok || !body.ok) {
+      throw new Error(`Slack chat.postMessage 失敗: ${body.error || response.status}`);
+    }
+  }
+}
+
+module.exports = SlackNotificationProvider;
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const NotificationProvider = require('./NotificationProvider');
+const { splitText } = require('./messageFormat');
+
+// Telegram 單則訊息最多 4096 字
+const MAX_MESSAGE_LENGTH = 4096;
+
+// 透過 Telegram Bot API 發送通知，userId 為用戶連結帳號時記錄的 chat ID
+class TelegramNotificationProvider extends NotificationProvider {
+  constructor() {
+    super('telegram');
+    this.botToken = null;
+    this.botUsername = null;
+  }
+
+  async initialize(config) {
+    try {
+      const validation = await this.validateConfig(config);
+      if (!validation.isValid) {
+        throw new Error(`Telegram配置無效: ${validation.errors.join(', ')}`);
+      }
+
+      this.botToken = config.botToken;
+      this.apiBaseUrl = (config.apiBaseUrl || 'https://api.telegram.org').replace(/\/$/, '');
+      this.timeout = config.timeout || 10000;
+      // 未指定時由 bot token 推導，讓 webhook 可驗證請求來自 Telegram
+      this.webhookSecret =
+        config.webhookSecret ||
+        crypto.createHash('sha256').update(config.botToken).digest('hex').slice(0, 32);
+
+      const me = await this.callApi('getMe');
+      this.botUsername = me.username || null;
+
+      if (config.webhookUrl) {
+        await this.callApi('setWebhook', {
+          url: config.webhookUrl,
+          secret_token: this.webhookSecret,
+          allowed_updates: ['message']
+        });
+      }
+
+      this.enabled = true;
+      return true;
+    } catch (error) {
+      console.error('❌ Telegram 通知提供者初始化失敗:', error.message);
+      this.enabled = false;
+      return false;
+    }
+  }
+
+  async validateConfig(config) {
+    const errors = [];
+
+    if (!config.botToken) {
+      errors.push('缺少 botToken');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  async callApi(method, params = {}) {
+    const response = await fetch(`${this.apiBaseUrl}/bot${this.botToken}/${method}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(params),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok || !body.ok) {
+      throw new Error(`Telegram ${method} 失敗: ${body.description || response.status}`);
+    }
+    return body.result;
+  }
+
+  async sendNotification(chatId, message, metadata = {}) {
+    if (!this.enabled) {
+      throw new Error('Telegram 通知提供者未初始化');
+    }
+
+    try {
+      await this.replyMessage(chatId, message);
+
+      return {
+        success: true,
+        provider: 'telegram',
+        userId: chatId,
+        sentAt: new Date().toISOString()
+      };
+    } catch (error) {
+      return {
+        success: false,
+        provider: 'telegram',
+        userId: chatId,
+        error: error.message,
+        sentAt: new Date().toISOString()
+      };
+    }
+  }
+
+  // 回覆 bot 收到的訊息，過長的訊息依換行分成多則
+  async replyMessage(chatId, message) {
+    for (const text of splitText(message, MAX_MESSAGE_LENGTH)) {
+      await this.callApi('sendMessage', {
+        chat_id: chatId,
+        text,
+        disable_web_page_preview: true
+      });
+    }
+  }
+
+  isValidWebhookRequest(secretHeader) {
+    if (!this.webhookSecret || typeof secretHeader !== 'string') return false;
+    const expected = Buffer.from(this.webhookSecret);
+    const actual = Buffer.from(secretHeader);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  // 點擊後開啟 bot 並自動送出 /start 代碼
+  getLinkUrl(code) {
+    return this.botUsername ? `https://t.me/${this.botUsername}?start=${code}` : null;
+  }
+}
+
+module.exports = TelegramNotificationProvider;
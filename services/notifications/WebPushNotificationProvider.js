@@ -0,0 +1,154 @@
+const webpush = require('web-push');
+const NotificationProvider = require('./NotificationProvider');
+const { EVENT_LABELS, truncate, toAbsoluteUrl } = require('./messageFormat');
+
+// 推播內容有大小限制（約 4KB），每則只放標題、簡短內文與連結
+const MAX_BODY_LENGTH = 200;
+// 瀏覽器離線時推播服務保留訊息的時間（秒）
+const DEFAULT_TTL = 6 * 60 * 60;
+
+// 透過瀏覽器的 Web Push（VAPID）發送原生通知，點擊後開啟產品頁面
+// recipient 為 { subscriptions, ownerId }，subscriptions 是用戶在各裝置訂閱的推播；
+// 推播服務回應 404/410 表示訂閱已失效，透過 onExpired 移除
+class WebPushNotificationProvider extends NotificationProvider {
+  constructor() {
+    super('webpush');
+    this.onExpired = null;
+  }
+
+  async initialize(config) {
+    try {
+      const validation = await this.validateConfig(config);
+      if (!validation.isValid) {
+        throw new Error(`Web Push配置無效: ${validation.errors.join(', ')}`);
+      }
+
+      this.vapidDetails = {
+        subject: config.subject || 'mailto:admin@example.com',
+        publicKey: config.vapidPublicKey,
+        privateKey: config.vapidPrivateKey
+      };
+      this.ttl = config.ttl || DEFAULT_TTL;
+      this.timeout = config.timeout || 10000;
+      this.onExpired = config.onExpired || null;
+
+      this.enabled = true;
+      return true;
+    } catch (error) {
+      console.error('❌ Web Push 通知提供者初始化失敗:', error.message);
+      this.enabled = false;
+      return false;
+    }
+  }
+
+  async validateConfig(config) {
+    const errors = [];
+
+    if (!config.vapidPublicKey) {
+      errors.push('缺少 vapidPublicKey');
+    }
+    if (!config.vapidPrivateKey) {
+      errors.push('缺少 vapidPrivateKey');
+    }
+    if (config.subject && !/^(mailto:|https:\/\/)/.test(config.subject)) {
+      errors.push('subject 必須是 mailto: 或 https:// 開頭');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  getPublicKey() {
+    return this.enabled ? this.vapidDetails.publicKey : null;
+  }
+
+  async sendNotification(recipient, message, metadata = {}) {
+    if (!this.enabled) {
+      throw new Error('Web Push 通知提供者未初始化');
+    }
+
+    const { subscriptions, ownerId } = recipient;
+    const notifications = this.buildNotifications(message, metadata);
+    const options = {
+      vapidDetails: this.vapidDetails,
+      TTL: this.ttl,
+      urgency: metadata.priority === 'high' ? 'high' : 'normal',
+      timeout: this.timeout
+    };
+
+    let sentCount = 0;
+    const errors = [];
+    const expiredIds = [];
+
+    for (const subscription of subscriptions) {
+      for (const notification of notifications) {
+        try {
+          await webpush.sendNotification(
+            { endpoint: subscription.endpoint, keys: subscription.keys },
+            JSON.stringify(notification),
+            options
+          );
+          sentCount++;
+        } catch (error) {
+          if (error.statusCode === 404 || error.statusCode === 410) {
+            expiredIds.push(subscription.id);
+            break;
+          }
+          errors.push(error.statusCode ? `HTTP ${error.statusCode}` : error.message);
+        }
+      }
+    }
+
+    if (this.onExpired) {
+      for (const subscriptionId of expiredIds) {
+        try {
+          await this.onExpired(ownerId, subscriptionId);
+        } catch (error) {
+          console.error('❌ 移除失效的推播訂閱失敗:', error.message);
+        }
+      }
+    }
+
+    return {
+      success: sentCount > 0,
+      provider: 'webpush',
+      userId: ownerId,
+      ...(sentCount === 0 && {
+        error: errors[0] || (expiredIds.length > 0 ? '推播訂閱已失效' : '沒有可用的推播訂閱')
+      }),
+      sentAt: new Date().toISOString()
+    };
+  }
+
+  // 每個產品一則通知（以產品網址為 tag，同一產品只保留最新一則）；其他通知以訊息第一行為標題
+  buildNotifications(message, metadata) {
+    const products = metadata.products || [];
+
+    if (products.length === 0) {
+      const [title, ...lines] = message.split('\n');
+      return [{
+        title: truncate(title, 100),
+        body: truncate(lines.join('\n').trim(), MAX_BODY_LENGTH),
+        url: '/'
+      }];
+    }
+
+    return products.map(product => {
+      const lines = [product.name || product.partNumber || '產品', product.price || '價格未找到'];
+      if (product.matchingRules && product.matchingRules.length > 0) {
+        lines.push(`📋 ${product.matchingRules.join(', ')}`);
+      }
+      return {
+        title: EVENT_LABELS[product.eventType] || '🍎 Apple 整修產品通知',
+        body: truncate(lines.join('\n'), MAX_BODY_LENGTH),
+        url: product.url || '/',
+        icon: toAbsoluteUrl(product.image),
+        tag: product.url || undefined
+      };
+    });
+  }
+}
+
+module.exports = WebPushNotificationProvider;
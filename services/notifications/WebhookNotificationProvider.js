@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const NotificationProvider = require('./NotificationProvider');
+const { isAllowedWebhookUrl, isPublicWebhookUrl } = require('./webhookUrl');
+
+// 事件格式版本，欄位有不相容的變更時遞增
+const PAYLOAD_VERSION = 1;
+
+// 產品事件類型對應的 webhook 事件，其他類型（資訊變更、關注產品下架）不發送
+const PRODUCT_EVENTS = {
+  new: 'product.new',
+  restock: 'product.restock',
+  watch_available: 'product.restock',
+  price_drop: 'product.price_changed',
+  price_increase: 'product.price_changed',
+  watch_price_change: 'product.price_changed'
+};
+
+// 發送到用戶自訂網址的 JSON 事件，以用戶專屬的密鑰做 HMAC-SHA256 簽章：
+//   X-Webhook-Signature: sha256=HMAC(secret, `${timestamp}.${body}`)
+// recipient 為 { url, secret, ownerId }，每次發送（含重試）的結果透過 onDelivery 記錄
+class WebhookNotificationProvider extends NotificationProvider {
+  constructor() {
+    super('webhook');
+    this.allowedHosts = [];
+    this.onDelivery = null;
+  }
+
+  async initialize(config) {
+    try {
+      const validation = await this.validateConfig(config);
+      if (!validation.isValid) {
+        throw new Error(`Webhook配置無效: ${validation.errors.join(', ')}`);
+      }
+
+      this.allowedHosts = config.allowedHosts || [];
+      this.maxAttempts = config.maxAttempts || 3;
+      this.retryDelayMs = config.retryDelayMs ?? 1000;
+      this.timeout = config.timeout || 10000;
+      this.onDelivery = config.onDelivery || null;
+
+      this.enabled = true;
+      return true;
+    } catch (error) {
+      console.error('❌ Webhook 通知提供者初始化失敗:', error.message);
+      this.enabled = false;
+      return false;
+    }
+  }
+
+  async validateConfig(config) {
+    const errors = [];
+
+    if (config.allowedHosts !== undefined && !Array.isArray(config.allowedHosts)) {
+      errors.push('allowedHosts 必須是陣列');
+    }
+    if (config.onDelivery !== undefined && typeof config.onDelivery !== 'function') {
+      errors.push('onDelivery 必須是函式');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  // 有設定 allowedHosts 時只允許這些主機，否則接受任何公開的 https 網址
+  isValidWebhookUrl(webhookUrl) {
+    return this.allowedHosts.length > 0
+      ? isAllowedWebhookUrl(webhookUrl, this.allowedHosts)
+      : isPublicWebhookUrl(webhookUrl);
+  }
+
+  static sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  }
+
+  async sendNotification(recipient, message, metadata = {}) {
+    if (!this.enabled) {
+      throw new Error('Webhook 通知提供者未初始化');
+    }
+
+    const { url, secret, ownerId } = recipient;
+
+    try {
+      if (!this.isValidWebhookUrl(url)) {
+        throw new Error('不允許的 webhook 網址');
+      }
+      if (!secret) {
+        throw new Error('缺少 webhook 密鑰');
+      }
+
+      // 產品都沒有對應的事件時（例如只有資訊變更）不需要發送
+      const events = this.buildEvents(message, metadata);
+      if (events.length === 0) {
+        return {
+          success: true,
+          provider: 'webhook',
+          userId: ownerId,
+          skipped: true,
+          deliveryIds: [],
+          sentAt: new Date().toISOString()
+        };
+      }
+
+      const deliveries = [];
+      for (const { event, data } of events) {
+        deliveries.push(await this.deliver(recipient, event, data));
+      }
+
+      const failed = deliveries.filter(delivery => !delivery.success);
+      return {
+        success: failed.length < deliveries.length,
+        provider: 'webhook',
+        userId: ownerId,
+        deliveryIds: deliveries.map(delivery => delivery.id),
+        ...(failed.length > 0 && { error: failed[0].error }),
+        sentAt: new Date().toISOString()
+      };
+    } catch (error) {
+      return {
+        success: false,
+        provider: 'webhook',
+        userId: ownerId,
+        error: error.message,
+        sentAt: new Date().toISOString()
+      };
+    }
+  }
+
+  // 每個產品一個事件；每日摘要與測試通知以 metadata.event 指定，
+  // 其他沒有產品的文字訊息（例如管理員通知）發送為 system.message
+  buildEvents(message, metadata) {
+    if (metadata.event) {
+      return [{ event: metadata.event, data: { message, ...metadata.eventData } }];
+    }
+    if (!metadata.products || metadata.products.length === 0) {
+      return [{ event: 'system.message', data: { message } }];
+    }
+
+    return metadata.products
+      .filter(product => PRODUCT_EVENTS[product.eventType])
+      .map(({ matchingRules, ...product }) => ({
+        event: PRODUCT_EVENTS[product.eventType],
+        data: { product, matchingRules: matchingRules || [] }
+      }));
+  }
+
+  // 同一事件的重試使用相同的 delivery ID，接收端可以此去除重複
+  async deliver({ url, secret, ownerId }, event, data) {
+    const id = crypto.randomUUID();
+    const createdAt = new Date().toISOString();
+    const body = JSON.stringify({ version: PAYLOAD_VERSION, id, event, createdAt, data });
+    const attempts = [];
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const result = await this.post(url, secret, id, event, body);
+      attempts.push({ attempt, ...result, at: new Date().toISOString() });
+      if (result.ok || !result.retryable) break;
+
+      if (attempt < this.maxAttempts) {
+        await new Promise(resolve => setTimeout(resolve, this.retryDelayMs * 2 ** (attempt - 1)));
+      }
+    }
+
+    const last = attempts[attempts.length - 1];
+    const delivery = {
+      id,
+      event,
+      url,
+      success: last.ok,
+      error: last.ok ? null : last.error,
+      attempts: attempts.map(({ ok, retryable, ...attempt }) => attempt),
+      createdAt
+    };
+
+    if (this.onDelivery) {
+      try {
+        await this.onDelivery(ownerId, delivery);
+      } catch (error) {
+        console.error('❌ 記錄 webhook 發送結果失敗:', error.message);
+      }
+    }
+
+    return delivery;
+  }
+
+  // 網路錯誤、逾時、429 與 5xx 會重試，其他 4xx 表示接收端拒絕，不再重試
+  async post(url, secret, id, event, body) {
+    const startedAt = Date.now();
+    const timestamp = Math.floor(startedAt / 1000).toString();
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'apple-refurbished-tracker-webhook',
+          'X-Webhook-Id': id,
+          'X-Webhook-Event': event,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': WebhookNotificationProvider.sign(secret, timestamp, body)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.timeout)
+      });
+      const durationMs = Date.now() - startedAt;
+
+      if (response.ok) {
+        return { ok: true, status: response.status, error: null, durationMs };
+      }
+
+      const text = await response.text().catch(() => '');
+      return {
+        ok: false,
+        retryable: response.status === 429 || response.status >= 500,
+        status: response.status,
+        error: `HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`,
+        durationMs
+      };
+    } catch (error) {
+      return {
+        ok: false,
+        retryable: true,
+        status: null,
+        error: error.message,
+        durationMs: Date.now() - startedAt
+      };
+    }
+  }
+}
+
+module.exports = WebhookNotificationProvider;
@@ -0,0 +1,46 @@
+// 通知方式（Discord、Telegram、Slack、瀏覽器推播等）共用的產品訊息工具
+
+const EVENT_LABELS = {
+  new: '🆕 新品',
+  restock: '🔄 補貨',
+  price_drop: '📉 降價',
+  price_increase: '📈 漲價',
+  listing_change: '✏️ 資訊變更',
+  watch_available: '👀 關注的產品上架',
+  watch_price_change: '💲 關注的產品價格變動',
+  watch_gone: '📤 關注的產品下架'
+};
+
+function truncate(text, maxLength) {
+  const value = String(text);
+  return value.length > maxLength ? `${value.slice(0, maxLength - 1)}…` : value;
+}
+
+// 超過長度的文字依換行切成多段，單行過長時截斷
+function splitText(message, maxLength) {
+  const chunks = [];
+  let current = '';
+  for (const line of message.split('\n')) {
+    if (current && current.length + line.length + 1 > maxLength) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n${line}` : truncate(line, maxLength);
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+// 產品圖片可能是 // 開頭的網址
+function toAbsoluteUrl(url) {
+  if (!url) return null;
+  if (url.startsWith('//')) return `https:${url}`;
+  return /^https?:\/\//.test(url) ? url : null;
+}
+
+module.exports = {
+  EVENT_LABELS,
+  truncate,
+  splitText,
+  toAbsoluteUrl
+};
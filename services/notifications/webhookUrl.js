@@ -0,0 +1,47 @@
+// 用戶自行填寫的 webhook 網址只接受允許的主機，避免伺服器代為對任意網址發送請求；
+// 本機（localhost）可使用 http，方便以本機服務測試，allowHttp 為 true 時允許的主機都可使用 http
+function isAllowedWebhookUrl(webhookUrl, allowedHosts, { allowHttp = false } = {}) {
+  try {
+    const url = new URL(webhookUrl);
+    const isLocal = ['localhost', '127.0.0.1'].includes(url.hostname);
+    if (url.protocol !== 'https:' && !((allowHttp || isLocal) && url.protocol === 'http:')) {
+      return false;
+    }
+    return allowedHosts.includes(url.host) || allowedHosts.includes(url.hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+// 自訂 webhook 可發送到任意 https 網址，但不接受 localhost 與內部網路 IP；
+// 只擋直接填寫的位址，網域解析到內部 IP 的情況需另外以 allowedHosts 限制
+function isPublicWebhookUrl(webhookUrl) {
+  try {
+    const url = new URL(webhookUrl);
+    if (url.protocol !== 'https:') return false;
+
+    const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (hostname === 'localhost' || hostname.endsWith('.localhost')) return false;
+    if (/^(0|10|127)\./.test(hostname)) return false;
+    if (/^(169\.254|192\.168)\./.test(hostname)) return false;
+    if (/^172\.(1[6-9]|2\d|3[01])\./.test(hostname)) return false;
+    if (hostname === '::1' || /^f[cd][0-9a-f]{2}:/.test(hostname) || /^fe80:/.test(hostname)) return false;
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// 以逗號分隔的環境變數轉為主機列表
+function parseHostList(value) {
+  return (value || '')
+    .split(',')
+    .map(host => host.trim())
+    .filter(Boolean);
+}
+
+module.exports = {
+  isAllowedWebhookUrl,
+  isPublicWebhookUrl,
+  parseHostList
+};
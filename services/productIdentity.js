@@ -0,0 +1,35 @@
+// 產品識別：以 Apple 型號（part number，例如 FGN63TA/A）作為產品的唯一標識
+// 網址中的產品名稱 slug 可能被 Apple 修改，型號則不會變
+const PART_NUMBER_PATTERN = /\/shop\/product\/([A-Z0-9]{4,}\/[A-Z])(?=[/?#]|$)/i;
+
+function extractPartNumber(url) {
+  if (!url) return null;
+  const match = url.match(PART_NUMBER_PATTERN);
+  return match ? match[1].toUpperCase() : null;
+}
+
+// 舊版的產品 key：移除查詢參數後的網址，只用於遷移與無法取得型號時
+function getLegacyProductKey(url) {
+  return url.split('?')[0];
+}
+
+function getProductKey(product) {
+  return (
+    product.partNumber ||
+    extractPartNumber(product.url) ||
+    getLegacyProductKey(product.url)
+  );
+}
+
+// Firestore 文件 ID 不能包含斜線，將 key 轉為只含英數字與底線的字串
+function getProductId(productKey) {
+  const path = productKey.replace(/^https?:\/\/[^/]+/, ''); // 移除 domain
+  return path.replace(/[^a-zA-Z0-9]/g, '_').replace(/_+/g, '_').replace(/^_|_$/g, '');
+}
+
+module.exports = {
+  extractPartNumber,
+  getLegacyProductKey,
+  getProductKey,
+  getProductId
+};
@@ -0,0 +1,122 @@
+// 產品生命週期：由上下架紀錄與價格歷史整理出上架區間、在架時間與時間軸
+//
+// 上下架紀錄（products/{id}/availability）在此功能加入後才開始寫入，
+// 較早的產品以 firstSeen、goneSince 補上第一段區間
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function toDate(value) {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function toHours(ms) {
+  return Math.round((ms / HOUR_MS) * 10) / 10;
+}
+
+// events: [{ type: 'appeared' | 'gone', at, previousGoneSince }]
+function buildIntervals(product, events, now) {
+  const firstSeen = toDate(product.firstSeen);
+  const sorted = [];
+  events
+    .map((event) => ({ ...event, at: toDate(event.at) }))
+    .filter((event) => event.at)
+    .sort((a, b) => a.at - b.at)
+    .forEach((event) => {
+      // 重新上架時記錄了上次下架時間，補上紀錄開始前的下架
+      const goneAt = toDate(event.previousGoneSince);
+      const previous = sorted[sorted.length - 1];
+      if (event.type === 'appeared' && goneAt && (!previous || previous.type !== 'gone')) {
+        sorted.push({ type: 'gone', at: goneAt });
+      }
+      sorted.push({ type: event.type, at: event.at });
+    });
+
+  // 紀錄開始前就已上架的產品，以 firstSeen 作為第一次上架
+  if (firstSeen && (sorted.length === 0 || sorted[0].type === 'gone')) {
+    sorted.unshift({ type: 'appeared', at: firstSeen });
+  }
+  if (
+    product.status === 'gone' &&
+    !sorted.some((event) => event.type === 'gone') &&
+    toDate(product.goneSince)
+  ) {
+    sorted.push({ type: 'gone', at: toDate(product.goneSince) });
+  }
+
+  const intervals = [];
+  let current = null;
+  for (const event of sorted) {
+    if (event.type === 'appeared' && !current) {
+      current = { start: event.at, end: null };
+      intervals.push(current);
+    } else if (event.type === 'gone' && current) {
+      current.end = event.at;
+      current = null;
+    }
+  }
+
+  return intervals.map(({ start, end }) => ({
+    start: start.toISOString(),
+    end: end ? end.toISOString() : null,
+    durationHours: toHours((end || now) - start)
+  }));
+}
+
+// lifecycle 為 FirebaseService.getProductLifecycle() 的結果
+function buildProductLifecycle({ product, availability, priceHistory }, now = new Date()) {
+  const intervals = buildIntervals(product, availability, now);
+
+  const priceChanges = priceHistory
+    .map((entry) => ({
+      at: toDate(entry.recordedAt),
+      price: entry.price,
+      priceValue: entry.priceValue,
+      previousPriceValue: entry.previousPriceValue
+    }))
+    .filter((entry) => entry.at)
+    .map((entry) => ({ ...entry, at: entry.at.toISOString() }));
+
+  const timeline = [
+    ...intervals.flatMap((interval, index) => [
+      { type: index === 0 ? 'first_seen' : 'restock', at: interval.start },
+      ...(interval.end ? [{ type: 'gone', at: interval.end }] : [])
+    ]),
+    // 第一筆價格為上架時的初始價格，不列為變動
+    ...priceChanges
+      .filter((entry) => entry.previousPriceValue !== null && entry.previousPriceValue !== undefined)
+      .map((entry) => ({ type: 'price_change', ...entry }))
+  ].sort((a, b) => new Date(a.at) - new Date(b.at));
+
+  const lastInterval = intervals[intervals.length - 1];
+  return {
+    id: product.id,
+    productKey: product.productKey || null,
+    partNumber: product.partNumber || null,
+    name: product.name,
+    url: product.url,
+    region: product.region || null,
+    price: product.price,
+    status: product.status || 'available',
+    firstSeen: intervals[0] ? intervals[0].start : null,
+    lastSeen: toDate(product.lastSeen) ? toDate(product.lastSeen).toISOString() : null,
+    appearances: intervals.length,
+    restocks: Math.max(intervals.length - 1, 0),
+    timeOnShelfHours: toHours(
+      intervals.reduce((sum, interval) => sum + interval.durationHours * HOUR_MS, 0)
+    ),
+    // 下架前最後一段在架時間，可看出這個配置多快賣完
+    lastSellOutHours:
+      [...intervals].reverse().find((interval) => interval.end)?.durationHours ?? null,
+    currentlyListedHours: lastInterval && !lastInterval.end ? lastInterval.durationHours : null,
+    intervals,
+    priceChanges,
+    timeline
+  };
+}
+
+module.exports = {
+  buildProductLifecycle
+};
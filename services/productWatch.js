@@ -0,0 +1,111 @@
+// 關注特定產品：以產品網址或型號指定，不經過追蹤規則，
+// 產品重新上架、價格變動或下架時通知
+//
+// 關注記錄在 users/{lineUserId}/watches，lastKnown 為上次檢查時的狀態：
+//   { status: 'available' | 'gone', name, price, priceValue, url, changedAt }
+
+const { extractPartNumber, getProductKey } = require('./productIdentity');
+const { getRegionFromUrl, getRegionFromPartNumber } = require('./regions');
+
+const BARE_PART_NUMBER_PATTERN = /^[A-Z0-9]{4,}\/[A-Z]$/i;
+
+// text 為產品網址或型號（例如 FGN63TA/A），無法辨識時回傳 null
+function parseWatchTarget(text) {
+  const value = String(text || '').trim();
+  const url = (value.match(/https?:\/\/\S+/) || [])[0] || null;
+  const partNumber = url
+    ? extractPartNumber(url)
+    : BARE_PART_NUMBER_PATTERN.test(value)
+      ? value.toUpperCase()
+      : null;
+  if (!partNumber) return null;
+
+  const region = (url && getRegionFromUrl(url)) || getRegionFromPartNumber(partNumber);
+  if (!region) return null;
+
+  return {
+    productKey: partNumber,
+    partNumber,
+    url: url ? url.split(/[?#]/)[0] : null,
+    region: region.code
+  };
+}
+
+function toWatchState(product, status, changedAt) {
+  return {
+    status,
+    name: product.name || null,
+    price: product.price || null,
+    priceValue: product.priceValue ?? null,
+    url: product.url || null,
+    changedAt
+  };
+}
+
+// product 為這次爬取中對應的產品，沒有上架時為 null；skipGone 為 true 時不判斷下架（爬取結果異常）
+// 回傳 { eventType, product, state }，eventType 為 null 表示不需通知，state 為 null 表示狀態沒有變化
+function evaluateWatch(watch, product, { skipGone = false, now = new Date().toISOString() } = {}) {
+  const last = watch.lastKnown || null;
+
+  if (product) {
+    const wasAvailable = last && last.status === 'available';
+    const state = toWatchState(product, 'available', wasAvailable ? last.changedAt : now);
+
+    if (!wasAvailable) {
+      return {
+        eventType: 'watch_available',
+        product: { ...product, goneSince: last ? last.changedAt : null },
+        state
+      };
+    }
+
+    const priceChanged =
+      last.priceValue !== null && state.priceValue !== null && last.priceValue !== state.priceValue;
+    if (priceChanged) {
+      return {
+        eventType: 'watch_price_change',
+        product: { ...product, previousPrice: last.price },
+        state
+      };
+    }
+
+    const unchanged = ['name', 'price', 'url'].every((field) => last[field] === state[field]);
+    return { eventType: null, product, state: unchanged ? null : state };
+  }
+
+  if (skipGone || (last && last.status === 'gone')) {
+    return { eventType: null, product: null, state: null };
+  }
+
+  // 從未在商店出現過的產品只記錄狀態（下架時間未知），之後上架時通知
+  if (!last) {
+    return { eventType: null, product: null, state: toWatchState(watch, 'gone', null) };
+  }
+
+  const state = { ...last, status: 'gone', changedAt: now };
+
+  return {
+    eventType: 'watch_gone',
+    product: {
+      name: last.name || watch.name || watch.partNumber,
+      price: last.price,
+      priceValue: last.priceValue,
+      url: last.url || watch.url,
+      region: watch.region,
+      partNumber: watch.partNumber
+    },
+    state
+  };
+}
+
+// 將這次爬取的產品依 productKey 建立索引，供多位用戶的關注共用
+function indexProducts(products) {
+  return new Map(products.map((product) => [getProductKey(product), product]));
+}
+
+module.exports = {
+  parseWatchTarget,
+  toWatchState,
+  evaluateWatch,
+  indexProducts
+};
@@ -0,0 +1,118 @@
+// 各地區 Apple 整修品商店設定
+const REGIONS = {
+  tw: {
+    code: 'tw',
+    name: '台灣',
+    basePath: '/tw',
+    locale: 'zh-TW',
+    currency: 'TWD',
+    pricePattern: 'NT\\$\\s?[\\d,]+',
+    refurbishedKeywords: ['整修品', '整修'],
+    originalPriceKeywords: ['原價'],
+    partNumberSuffix: 'TA/A'
+  },
+  us: {
+    code: 'us',
+    name: '美國',
+    basePath: '',
+    locale: 'en-US',
+    currency: 'USD',
+    pricePattern: '\\$\\s?[\\d,]+(?:\\.\\d{2})?',
+    refurbishedKeywords: ['refurbished'],
+    originalPriceKeywords: ['Was'],
+    partNumberSuffix: 'LL/A'
+  },
+  jp: {
+    code: 'jp',
+    name: '日本',
+    basePath: '/jp',
+    locale: 'ja-JP',
+    currency: 'JPY',
+    pricePattern: '[¥￥]\\s?[\\d,]+',
+    refurbishedKeywords: ['整備済', 'refurbished'],
+    originalPriceKeywords: ['通常価格', '元の価格'],
+    partNumberSuffix: 'J/A'
+  },
+  hk: {
+    code: 'hk',
+    name: '香港',
+    basePath: '/hk',
+    locale: 'zh-HK',
+    currency: 'HKD',
+    pricePattern: 'HK\\$\\s?[\\d,]+(?:\\.\\d{2})?',
+    refurbishedKeywords: ['翻新', '整修'],
+    originalPriceKeywords: ['原價'],
+    partNumberSuffix: 'ZP/A'
+  }
+};
+
+const DEFAULT_REGION = 'tw';
+
+// 整修品分類頁面（slug 對應商店網址）
+const CATEGORIES = [
+  { slug: 'mac', name: 'Mac' },
+  { slug: 'ipad', name: 'iPad' },
+  { slug: 'iphone', name: 'iPhone' },
+  { slug: 'watch', name: 'Apple Watch' },
+  { slug: 'appletv', name: 'Apple TV' },
+  { slug: 'airpods', name: 'AirPods' },
+  { slug: 'homepod', name: 'HomePod' },
+  { slug: 'accessories', name: 'Accessories' }
+];
+
+// 各語系顏色名稱，統一對應到網頁規則使用的中文名稱
+const COLOR_NAMES = {
+  '銀色': ['銀色', 'Silver', 'シルバー'],
+  '太空灰色': ['太空灰色', 'Space Gray', 'Space Grey', 'スペースグレイ'],
+  '太空黑色': ['太空黑色', 'Space Black', 'スペースブラック'],
+  '星光色': ['星光色', 'Starlight', 'スターライト'],
+  '午夜色': ['午夜色', 'Midnight', 'ミッドナイト'],
+  '天藍色': ['天藍色', 'Sky Blue', 'スカイブルー']
+};
+
+function getRegion(code) {
+  return REGIONS[code] || null;
+}
+
+function getCategoryUrl(regionCode, slug) {
+  const region = getRegion(regionCode);
+  return `https://www.apple.com${region.basePath}/shop/refurbished/${slug}`;
+}
+
+// 「原價 NT$41,900」這類標示新品價格的文字，擷取群組為價格本身
+function getOriginalPricePattern(region) {
+  return `(?:${region.originalPriceKeywords.join('|')})\\s*[:：]?\\s*(${region.pricePattern})`;
+}
+
+// 規則未指定地區時，沿用原本的台灣商店
+function getRuleRegions(filters = {}) {
+  const regions = (filters.regions || []).filter(code => REGIONS[code]);
+  return regions.length > 0 ? regions : [DEFAULT_REGION];
+}
+
+// 由商店網址的路徑判斷地區，例如 /jp/shop/... 為日本，沒有地區路徑的是美國商店
+function getRegionFromUrl(url) {
+  const match = String(url || '').match(/^https?:\/\/www\.apple\.com(\/[a-z]{2})?\/shop\//i);
+  if (!match) return null;
+  const basePath = (match[1] || '').toLowerCase();
+  return Object.values(REGIONS).find(region => region.basePath === basePath) || null;
+}
+
+// 由型號結尾判斷地區，例如 FGN63TA/A 為台灣
+function getRegionFromPartNumber(partNumber) {
+  const value = String(partNumber || '').toUpperCase();
+  return Object.values(REGIONS).find(region => value.endsWith(region.partNumberSuffix)) || null;
+}
+
+module.exports = {
+  REGIONS,
+  DEFAULT_REGION,
+  CATEGORIES,
+  COLOR_NAMES,
+  getRegion,
+  getCategoryUrl,
+  getOriginalPricePattern,
+  getRuleRegions,
+  getRegionFromUrl,
+  getRegionFromPartNumber
+};
@@ -0,0 +1,210 @@
+// 追蹤規則的條件運算式
+//
+// 運算式為巢狀物件，可組合以下節點：
+//   { and: [節點, ...] }                       全部符合
+//   { or: [節點, ...] }                        任一符合
+//   { not: 節點 }                              不符合
+//   { field: 'chip', op: 'in', value: [...] }  單一欄位條件
+//   { filters: { productType: 'MacBook Pro' } } 原本的簡易條件，依 filterProducts() 判斷
+//
+// 例：MacBook Pro、Max 或 Ultra 晶片、不要 14 吋
+//   { and: [
+//     { field: 'productType', op: 'eq', value: 'MacBook Pro' },
+//     { or: [
+//       { field: 'chip', op: 'contains', value: 'Max' },
+//       { field: 'chip', op: 'contains', value: 'Ultra' }
+//     ] },
+//     { not: { field: 'screenSize', op: 'eq', value: 14 } }
+//   ] }
+
+const OPERATORS = {
+  eq: '=',
+  ne: '≠',
+  in: '屬於',
+  contains: '包含',
+  gt: '>',
+  gte: '≥',
+  lt: '<',
+  lte: '≤'
+};
+
+// 取自產品本身的欄位，其餘欄位取自 specs
+const PRODUCT_FIELDS = {
+  name: (product) => product.name,
+  region: (product) => product.region,
+  category: (product) => product.category,
+  price: (product) => product.priceValue,
+  savingsPercent: (product) => product.savingsPercent,
+  dealScore: (product) => (product.deal ? product.deal.score : null)
+};
+
+// 這些欄位以數值比較（「16GB」→ 16、「14吋」→ 14、「1TB」→ 1024）
+const NUMERIC_FIELDS = new Set([
+  'price',
+  'savingsPercent',
+  'dealScore',
+  'screenSize',
+  'memory',
+  'storage',
+  'capacity',
+  'cpuCores',
+  'gpuCores',
+  'releaseYear',
+  'generation'
+]);
+
+const MAX_DEPTH = 10; // Firestore 巢狀物件深度有限制
+
+function getFieldValue(product, field) {
+  if (PRODUCT_FIELDS[field]) return PRODUCT_FIELDS[field](product);
+  return product.specs ? product.specs[field] : undefined;
+}
+
+function normalizeValue(field, value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  if (NUMERIC_FIELDS.has(field)) {
+    if (typeof value === 'number') return value;
+    const match = String(value).match(/(\d+(?:\.\d+)?)\s*(TB)?/i);
+    if (!match) return null;
+    const number = parseFloat(match[1]);
+    return match[2] ? number * 1024 : number;
+  }
+
+  return String(value).toLowerCase();
+}
+
+function evaluateCondition(product, { field, op, value }) {
+  const actual = normalizeValue(field, getFieldValue(product, field));
+  // 缺少資料的產品不符合任何條件（ne 例外，缺少資料視為不相等）
+  if (actual === null) return op === 'ne';
+
+  const values = (Array.isArray(value) ? value : [value]).map((item) =>
+    normalizeValue(field, item)
+  );
+  const expected = values[0];
+
+  switch (op) {
+    case 'eq':
+      return actual === expected;
+    case 'ne':
+      return actual !== expected;
+    case 'in':
+      return values.includes(actual);
+    case 'contains':
+      return values.some((item) => String(actual).includes(String(item)));
+    case 'gt':
+      return actual > expected;
+    case 'gte':
+      return actual >= expected;
+    case 'lt':
+      return actual < expected;
+    case 'lte':
+      return actual <= expected;
+    default:
+      return false;
+  }
+}
+
+// matchesFilters(product, filters) 用來判斷 { filters } 節點
+function evaluateExpression(expression, product, matchesFilters) {
+  if (!expression) return true;
+
+  if (expression.and) {
+    return expression.and.every((node) =>
+      evaluateExpression(node, product, matchesFilters)
+    );
+  }
+  if (expression.or) {
+    return expression.or.some((node) =>
+      evaluateExpression(node, product, matchesFilters)
+    );
+  }
+  if (expression.not) {
+    return !evaluateExpression(expression.not, product, matchesFilters);
+  }
+  if (expression.filters) {
+    return matchesFilters(product, expression.filters);
+  }
+
+  return evaluateCondition(product, expression);
+}
+
+// 回傳錯誤訊息，格式正確時回傳 null
+function validateExpression(expression, depth = 0) {
+  if (depth > MAX_DEPTH) return `條件最多只能有 ${MAX_DEPTH} 層`;
+  if (!expression || typeof expression !== 'object' || Array.isArray(expression)) {
+    return '條件必須是物件';
+  }
+
+  for (const group of ['and', 'or']) {
+    if (expression[group] !== undefined) {
+      if (!Array.isArray(expression[group]) || expression[group].length === 0) {
+        return `${group} 必須是非空的陣列`;
+      }
+      for (const node of expression[group]) {
+        const error = validateExpression(node, depth + 1);
+        if (error) return error;
+      }
+      return null;
+    }
+  }
+
+  if (expression.not !== undefined) {
+    return validateExpression(expression.not, depth + 1);
+  }
+
+  if (expression.filters !== undefined) {
+    return typeof expression.filters === 'object' && !Array.isArray(expression.filters)
+      ? null
+      : 'filters 必須是物件';
+  }
+
+  if (typeof expression.field !== 'string' || !expression.field) {
+    return '條件缺少 field';
+  }
+  if (!OPERATORS[expression.op]) {
+    return `不支援的運算子: ${expression.op}`;
+  }
+  if (expression.value === undefined) {
+    return `${expression.field} 條件缺少 value`;
+  }
+  if (Array.isArray(expression.value) && expression.value.some(Array.isArray)) {
+    return 'value 不能是巢狀陣列';
+  }
+  return null;
+}
+
+// 轉為可讀的文字，用於 LINE 與網頁的規則列表
+function formatExpression(expression, depth = 0) {
+  if (!expression) return '';
+
+  const wrap = (text) => (depth > 0 ? `(${text})` : text);
+  if (expression.and) {
+    return wrap(expression.and.map((node) => formatExpression(node, depth + 1)).join(' 且 '));
+  }
+  if (expression.or) {
+    return wrap(expression.or.map((node) => formatExpression(node, depth + 1)).join(' 或 '));
+  }
+  if (expression.not) {
+    return `非 ${formatExpression(expression.not, depth + 1)}`;
+  }
+  if (expression.filters) {
+    return wrap(
+      Object.entries(expression.filters)
+        .map(([key, value]) => `${key}=${[].concat(value).join('/')}`)
+        .join(' 且 ')
+    );
+  }
+
+  const value = Array.isArray(expression.value)
+    ? expression.value.join('/')
+    : expression.value;
+  return `${expression.field} ${OPERATORS[expression.op] || expression.op} ${value}`;
+}
+
+module.exports = {
+  evaluateExpression,
+  validateExpression,
+  formatExpression
+};
@@ -0,0 +1,169 @@
+const cheerio = require('cheerio');
+const ProductScraper = require('./ProductScraper');
+const { getOriginalPricePattern } = require('../regions');
+
+const APPLE_ORIGIN = 'https://www.apple.com';
+const USER_AGENT =
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+
+// 不啟動瀏覽器，直接以 HTTP 取得伺服器渲染的頁面並用 cheerio 解析
+class HttpScraper extends ProductScraper {
+  constructor(options = {}) {
+    super('http', options);
+  }
+
+  async fetchHtml(url, locale) {
+    const response = await fetch(url, {
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept-Language': locale || 'zh-TW'
+      },
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    return response.text();
+  }
+
+  async scrapeTarget({ url, region, category }) {
+    const html = await this.fetchHtml(url, region.locale);
+    const $ = cheerio.load(html);
+
+    // 優先使用頁面內嵌的 JSON 資料，取不到再解析 HTML 連結
+    const products = this.parseBootstrapData($, category);
+    return products.length > 0
+      ? products
+      : this.parseListingHtml($, region, category);
+  }
+
+  parseBootstrapData($, category) {
+    let data = null;
+
+    $('script').each((index, element) => {
+      const text = $(element).html() || '';
+      const markerIndex = text.indexOf('REFURB_GRID_BOOTSTRAP');
+      if (markerIndex === -1) return;
+
+      const start = text.indexOf('{', markerIndex);
+      const end = text.lastIndexOf('}');
+      if (start === -1 || end <= start) return;
+
+      try {
+        data = JSON.parse(text.slice(start, end + 1));
+        return false;
+      } catch (error) {
+        console.error('解析內嵌產品資料失敗:', error.message);
+      }
+    });
+
+    const tiles = Array.isArray(data?.tiles) ? data.tiles : [];
+
+    return tiles
+      .map((tile) => {
+        const name = (tile.title || '').trim();
+        return {
+          name,
+          partNumber: tile.partNumber || null,
+          price: tile.price?.currentPrice?.amount || '價格未找到',
+          originalPrice: tile.price?.previousPrice?.amount || '',
+          image: tile.image?.srcSet?.src || tile.image?.src || '',
+          description: name,
+          url: tile.productDetailsUrl
+            ? this.toAbsoluteUrl(tile.productDetailsUrl)
+            : '',
+          category
+        };
+      })
+      .filter((product) => product.name.length > 0 && product.url);
+  }
+
+  // 與 Puppeteer 版本相同的判斷方式：找產品連結，再往上層尋找價格與圖片
+  parseListingHtml($, region, category) {
+    const priceRegex = new RegExp(region.pricePattern);
+    const originalPriceRegex = new RegExp(getOriginalPricePattern(region), 'i');
+    const products = [];
+
+    $('a[href*="/shop/product/"]').each((index, element) => {
+      const link = $(element);
+      const url = this.toAbsoluteUrl(link.attr('href'));
+      const name = link.text().trim();
+
+      const isRefurbished =
+        url.toLowerCase().includes('refurbished') ||
+        region.refurbishedKeywords.some((keyword) =>
+          name.toLowerCase().includes(keyword.toLowerCase())
+        );
+
+      if (!isRefurbished || name.length === 0) return;
+
+      let price = '';
+      let originalPrice = '';
+      let currentElement = link.parent();
+      let searchDepth = 0;
+
+      while (currentElement.length > 0 && searchDepth < 6) {
+        const containerText = currentElement.text();
+        // 先取出新品原價，剩下的第一個價格才是整修品售價
+        const originalMatch = containerText.match(originalPriceRegex);
+        const priceMatch = (
+          originalMatch
+            ? containerText.replace(originalMatch[0], '')
+            : containerText
+        ).match(priceRegex);
+        if (priceMatch) {
+          price = priceMatch[0];
+          originalPrice = originalMatch ? originalMatch[1] : '';
+          break;
+        }
+        currentElement = currentElement.parent();
+        searchDepth++;
+      }
+
+      const imgElement = link.closest('div').find('img').first();
+      const imageSrc = imgElement.attr('src') || imgElement.attr('data-src');
+      const image = imageSrc ? this.toAbsoluteUrl(imageSrc) : '';
+
+      products.push({
+        name,
+        price: price || '價格未找到',
+        originalPrice,
+        image,
+        description: name,
+        url,
+        category
+      });
+    });
+
+    return products;
+  }
+
+  async fetchDetailText(url) {
+    const html = await this.fetchHtml(url);
+    const $ = cheerio.load(html);
+
+    $('script, style, noscript').remove();
+    // 讓 text() 的結果保留區塊換行，與瀏覽器的 innerText 相近
+    $('br').replaceWith('\n');
+    $('p, li, div, dt, dd, tr, h1, h2, h3, h4, h5, h6').append('\n');
+
+    const sections = $(ProductScraper.TECH_SPEC_SELECTOR);
+    const text =
+      sections.length > 0
+        ? sections
+            .map((index, section) => $(section).text())
+            .get()
+            .join('\n')
+        : $('body').text();
+
+    return text.trim() ? text : null;
+  }
+
+  toAbsoluteUrl(href) {
+    return new URL(href, APPLE_ORIGIN).toString();
+  }
+}
+
+module.exports = HttpScraper;
@@ -0,0 +1,132 @@
+// 產品頁技術規格區塊
+const TECH_SPEC_SELECTOR =
+  '.rc-pdsection-mainpanel, [class*="techspecs"], [class*="tech-specs"]';
+
+class ProductScraper {
+  // options: concurrency 同時處理的網址數、retries 失敗重試次數、
+  // retryDelay 第一次重試前的等待毫秒數（之後倍增）、timeout 單一網址逾時毫秒數
+  constructor(name, options = {}) {
+    this.name = name;
+    this.concurrency = options.concurrency || 1;
+    this.retries = options.retries ?? 2;
+    this.retryDelay = options.retryDelay || 2000;
+    this.timeout = options.timeout || 30000;
+  }
+
+  async initialize() {
+    return true;
+  }
+
+  // targets: [{ url, region, category }]
+  // 回傳 { products, outcomes }，products 為尚未解析規格的產品列表，
+  // outcomes 為每個網址的爬取結果
+  async scrapeListings(targets) {
+    const results = await this.runPool(targets, async (target) => {
+      const startTime = Date.now();
+      const { value, attempts, error } = await this.withRetry(target.url, () =>
+        this.scrapeTarget(target)
+      );
+
+      // 同一型號在不同地區商店視為不同的上架產品
+      const products = (value || []).map((product) => ({
+        ...product,
+        region: target.region.code
+      }));
+
+      return {
+        products,
+        outcome: {
+          url: target.url,
+          backend: this.name,
+          region: target.region.code,
+          category: target.category,
+          status: error ? 'failed' : 'ok',
+          attempts,
+          productCount: products.length,
+          durationMs: Date.now() - startTime,
+          error: error ? error.message : null
+        }
+      };
+    });
+
+    return {
+      products: results.flatMap((result) => result.products),
+      outcomes: results.map((result) => result.outcome)
+    };
+  }
+
+  // 回傳 Map(url => 產品頁規格文字)，擷取失敗的網址不會出現在結果中
+  async fetchDetailTexts(urls) {
+    const detailTexts = new Map();
+
+    await this.runPool(urls, async (url) => {
+      const { value } = await this.withRetry(url, () =>
+        this.fetchDetailText(url)
+      );
+      if (value) detailTexts.set(url, value);
+    });
+
+    return detailTexts;
+  }
+
+  // 爬取單一分類頁，回傳該頁的產品列表
+  async scrapeTarget(target) {
+    throw new Error('scrapeTarget() must be implemented by subclass');
+  }
+
+  // 擷取單一產品頁的規格文字
+  async fetchDetailText(url) {
+    throw new Error('fetchDetailText() must be implemented by subclass');
+  }
+
+  // 以最多 concurrency 個工作同時處理 items，結果依原本順序回傳
+  async runPool(items, handler) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+      while (nextIndex < items.length) {
+        const index = nextIndex++;
+        results[index] = await handler(items[index], index);
+      }
+    };
+
+    const workerCount = Math.min(this.concurrency, items.length);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    return results;
+  }
+
+  // 失敗時以指數退避重試，最後仍失敗則回傳錯誤而不拋出
+  async withRetry(label, task) {
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= this.retries + 1; attempt++) {
+      try {
+        return { value: await task(), attempts: attempt, error: null };
+      } catch (error) {
+        lastError = error;
+        console.error(
+          `${this.name} 爬取 ${label} 失敗（第 ${attempt} 次）:`,
+          error.message
+        );
+
+        if (attempt <= this.retries) {
+          const delay = this.retryDelay * 2 ** (attempt - 1);
+          await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+      }
+    }
+
+    return { value: null, attempts: this.retries + 1, error: lastError };
+  }
+
+  async close() {}
+
+  getName() {
+    return this.name;
+  }
+}
+
+ProductScraper.TECH_SPEC_SELECTOR = TECH_SPEC_SELECTOR;
+
+module.exports = ProductScraper;
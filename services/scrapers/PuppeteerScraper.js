@@ -0,0 +1,187 @@
+const puppeteer = require('puppeteer');
+const ProductScraper = require('./ProductScraper');
+const { getOriginalPricePattern } = require('../regions');
+
+class PuppeteerScraper extends ProductScraper {
+  constructor(options = {}) {
+    super('puppeteer', options);
+    this.browser = null;
+    this.launching = null;
+  }
+
+  async initialize() {
+    await this.getBrowser();
+    return true;
+  }
+
+  // 瀏覽器在第一次使用時才啟動，HTTP 模式下不需要時不會佔用資源；
+  // 瀏覽器當掉或斷線後，下一次使用時會自動重新啟動
+  async getBrowser() {
+    if (this.browser && this.browser.connected) {
+      return this.browser;
+    }
+
+    // 並行的工作共用同一次啟動
+    if (!this.launching) {
+      this.launching = puppeteer
+        .launch({
+          headless: true,
+          args: ['--no-sandbox', '--disable-setuid-sandbox']
+        })
+        .then((browser) => {
+          browser.on('disconnected', () => {
+            if (this.browser === browser) {
+              console.warn('⚠️ 瀏覽器連線中斷，下次爬取時重新啟動');
+              this.browser = null;
+            }
+          });
+          this.browser = browser;
+          return browser;
+        })
+        .finally(() => {
+          this.launching = null;
+        });
+    }
+
+    return this.launching;
+  }
+
+  // 每個工作使用自己的分頁，結束後關閉
+  async withPage(task) {
+    const browser = await this.getBrowser();
+    const page = await browser.newPage();
+    page.setDefaultTimeout(this.timeout);
+
+    try {
+      return await task(page);
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  async scrapeTarget({ url, region, category }) {
+    return this.withPage(async (page) => {
+      await page.goto(url, { waitUntil: 'networkidle2' });
+      await new Promise((resolve) => setTimeout(resolve, 2000));
+
+      return page.evaluate(
+        ({
+          category,
+          pricePattern,
+          originalPricePattern,
+          refurbishedKeywords
+        }) => {
+          const productData = [];
+          const priceRegex = new RegExp(pricePattern);
+          const originalPriceRegex = new RegExp(originalPricePattern, 'i');
+
+          const links = document.querySelectorAll(
+            'a[href*="/shop/product/"]'
+          );
+
+          const refurbishedLinks = Array.from(links).filter((a) => {
+            const href = a.href.toLowerCase();
+            const text = a.textContent.toLowerCase();
+
+            const isRefurbished =
+              href.includes('refurbished') ||
+              refurbishedKeywords.some((keyword) =>
+                text.includes(keyword.toLowerCase())
+              );
+
+            if (isRefurbished && text.trim().length > 0) {
+              return true;
+            }
+            return false;
+          });
+
+          refurbishedLinks.forEach((link, index) => {
+            try {
+              const name = link.textContent.trim();
+
+              let price = '';
+              let originalPrice = '';
+              let currentElement = link.parentElement;
+              let searchDepth = 0;
+
+              while (currentElement && searchDepth < 6) {
+                const containerText = currentElement.textContent || '';
+                // 先取出新品原價，剩下的第一個價格才是整修品售價
+                const originalMatch = containerText.match(originalPriceRegex);
+                const priceMatch = (
+                  originalMatch
+                    ? containerText.replace(originalMatch[0], '')
+                    : containerText
+                ).match(priceRegex);
+                if (priceMatch) {
+                  price = priceMatch[0];
+                  originalPrice = originalMatch ? originalMatch[1] : '';
+                  break;
+                }
+                currentElement = currentElement.parentElement;
+                searchDepth++;
+              }
+
+              let image = '';
+              const parentContainer = link.closest('div');
+              if (parentContainer) {
+                const imgElement = parentContainer.querySelector('img');
+                if (imgElement) {
+                  image =
+                    imgElement.src ||
+                    imgElement.getAttribute('data-src') ||
+                    '';
+                }
+              }
+
+              if (name.length > 0) {
+                productData.push({
+                  name: name,
+                  price: price || '價格未找到',
+                  originalPrice: originalPrice,
+                  image: image || '',
+                  description: name,
+                  url: link.href,
+                  category: category
+                });
+              }
+            } catch (e) {}
+          });
+
+          return productData;
+        },
+        {
+          category,
+          pricePattern: region.pricePattern,
+          originalPricePattern: getOriginalPricePattern(region),
+          refurbishedKeywords: region.refurbishedKeywords
+        }
+      );
+    });
+  }
+
+  async fetchDetailText(url) {
+    return this.withPage(async (page) => {
+      await page.goto(url, { waitUntil: 'networkidle2' });
+
+      return page.evaluate((selector) => {
+        const sections = document.querySelectorAll(selector);
+        if (sections.length === 0) {
+          return document.body.innerText;
+        }
+        return Array.from(sections)
+          .map((section) => section.innerText)
+          .join('\n');
+      }, ProductScraper.TECH_SPEC_SELECTOR);
+    });
+  }
+
+  async close() {
+    if (this.browser) {
+      await this.browser.close();
+      this.browser = null;
+    }
+  }
+}
+
+module.exports = PuppeteerScraper;
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DiscordNotificationProvider = require('../services/notifications/DiscordNotificationProvider');
+const { startStubServer } = require('./helpers/stubServer');
+
+// Discord webhook 依路徑結尾的狀態碼回應，429 只在第一次請求時回應
+function respond(request, requests) {
+  const status = Number(request.url.split('/').pop()) || 204;
+  if (status === 429 && requests.filter((r) => r.url === request.url).length === 1) {
+    return { status: 429, body: { retry_after: 0.01 } };
+  }
+  return { status: status === 429 ? 204 : status, body: status >= 400 ? 'error from stub' : '' };
+}
+
+const products = [
+  {
+    name: 'MacBook Air 13 吋 M2',
+    price: 'NT$29,900',
+    url: 'https://www.apple.com/tw/shop/product/A/x',
+    image: 'https://store.storeimages.cdn-apple.com/a.jpg',
+    eventType: 'price_drop',
+    priceChange: { direction: 'drop', oldPrice: 'NT$31,900', newPrice: 'NT$29,900', percent: 6.3 },
+    matchingRules: ['M2 Air']
+  },
+  { name: 'iPad Pro 11 吋', price: 'NT$25,900', eventType: 'new' }
+];
+
+test('Discord webhook：embed 格式、錯誤回應與不允許的網址', async (t) => {
+  const { server, requests, baseUrl: serverUrl } = await startStubServer(respond);
+  t.after(() => server.close());
+  const baseUrl = `${serverUrl}/api/webhooks/1/token`;
+
+  const provider = new DiscordNotificationProvider();
+  assert.strictEqual(await provider.initialize({ allowedHosts: ['127.0.0.1'], timeout: 2000 }), true);
+
+  await t.test('每個產品一個 embed', async () => {
+    const result = await provider.sendNotification(`${baseUrl}/204`, '🆕 2 個新品\n\n詳細內容', { products });
+    assert.strictEqual(result.success, true);
+
+    const { body } = requests.at(-1);
+    assert.strictEqual(body.username, 'Apple 整修機追蹤器');
+    assert.strictEqual(body.content, '🆕 2 個新品');
+    assert.strictEqual(body.embeds.length, 2);
+
+    const [embed] = body.embeds;
+    assert.strictEqual(embed.title, 'MacBook Air 13 吋 M2');
+    assert.strictEqual(embed.url, products[0].url);
+    assert.strictEqual(embed.color, 0xff9f0a);
+    assert.deepStrictEqual(embed.thumbnail, { url: products[0].image });
+    assert.deepStrictEqual(
+      embed.fields.map((field) => field.name),
+      ['💰 價格', '📉 降價', '📋 符合規則']
+    );
+    assert.strictEqual(body.embeds[1].url, undefined);
+  });
+
+  await t.test('沒有產品時只送文字', async () => {
+    const result = await provider.sendNotification(`${baseUrl}/204`, '管理員通知');
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(requests.at(-1).body, { username: 'Apple 整修機追蹤器', content: '管理員通知' });
+  });
+
+  await t.test('4xx 與 5xx 回應視為發送失敗', async () => {
+    const notFound = await provider.sendNotification(`${baseUrl}/404`, '測試');
+    assert.strictEqual(notFound.success, false);
+    assert.match(notFound.error, /回應 404: error from stub/);
+
+    const serverError = await provider.sendNotification(`${baseUrl}/500`, '測試');
+    assert.strictEqual(serverError.success, false);
+    assert.match(serverError.error, /回應 500/);
+  });
+
+  await t.test('429 時依 retry_after 重試一次', async () => {
+    const before = requests.length;
+    const result = await provider.sendNotification(`${baseUrl}/429`, '測試');
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(requests.length - before, 2);
+  });
+
+  await t.test('不允許的網址不發送', async () => {
+    const before = requests.length;
+    for (const url of ['not a url', 'https://example.com/api/webhooks/1/token', 'http://discord.com/api/webhooks/1/token']) {
+      const result = await provider.sendNotification(url, '測試');
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.error, '不允許的 Discord webhook 網址');
+    }
+    assert.strictEqual(requests.length, before);
+  });
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RuleAlertPolicy = require('../services/RuleAlertPolicy');
+
+const product = (url) => ({ url, name: url, price: 'NT$10,000' });
+
+test('通知發送失敗時保留待通知產品，不開始冷卻', () => {
+  const policy = new RuleAlertPolicy();
+  const rule = {
+    limits: { cooldownHours: 6 },
+    alertState: { pendingProducts: [product('a')] }
+  };
+
+  const { deliver } = policy.apply(rule, [product('b')]);
+  assert.deepStrictEqual(deliver.map((p) => p.url), ['a', 'b']);
+
+  const state = policy.keepPending(rule, deliver);
+  assert.deepStrictEqual(state.pendingProducts.map((p) => p.url), ['a', 'b']);
+  assert.strictEqual(state.lastAlertAt, undefined);
+
+  // 下一次爬取仍可立即通知，並帶上先前未送出的產品
+  const retry = policy.apply({ ...rule, alertState: state }, []);
+  assert.deepStrictEqual(retry.deliver.map((p) => p.url), ['a', 'b']);
+  assert.ok(retry.stateUpdate.lastAlertAt);
+});
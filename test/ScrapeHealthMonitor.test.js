@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ScrapeHealthMonitor = require('../services/ScrapeHealthMonitor');
+
+const createProducts = (counts) =>
+  Object.entries(counts).flatMap(([category, count]) =>
+    Array.from({ length: count }, (_, i) => ({
+      region: 'tw',
+      category,
+      price: 'NT$10,000',
+      url: `${category}-${i}`
+    }))
+  );
+
+test('持續失效時基準不降為 0，不會誤報恢復正常', async () => {
+  const monitor = new ScrapeHealthMonitor({ initialized: false });
+
+  for (let i = 0; i < 5; i++) {
+    const { report } = await monitor.evaluate(createProducts({ Mac: 20, iPad: 5 }), ['tw']);
+    assert.strictEqual(report.status, 'ok');
+  }
+
+  for (let run = 1; run <= 30; run++) {
+    const { report, statusChanged } = await monitor.evaluate(createProducts({ iPad: 5 }), ['tw']);
+    assert.strictEqual(report.status, 'degraded', `第 ${run} 次仍應為異常`);
+    assert.strictEqual(statusChanged, run === 1);
+  }
+
+  const { report, statusChanged } = await monitor.evaluate(createProducts({ Mac: 20, iPad: 5 }), ['tw']);
+  assert.strictEqual(report.status, 'ok');
+  assert.strictEqual(statusChanged, true);
+});
+
+test('完全沒有產品的爬取不加入基準', async () => {
+  const monitor = new ScrapeHealthMonitor({ initialized: false });
+
+  for (let i = 0; i < 3; i++) {
+    await monitor.evaluate(createProducts({ Mac: 20 }), ['tw']);
+  }
+  for (let run = 0; run < 10; run++) {
+    const { report } = await monitor.evaluate([], ['tw']);
+    assert.strictEqual(report.status, 'degraded');
+  }
+
+  assert.deepStrictEqual(monitor.state.history['tw:Mac'], [20, 20, 20]);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SelfHostedPushNotificationProvider = require('../services/notifications/SelfHostedPushNotificationProvider');
+const { startStubServer } = require('./helpers/stubServer');
+
+const product = {
+  name: 'MacBook Air 13 吋 M2',
+  price: 'NT$29,900',
+  url: 'https://www.apple.com/tw/shop/product/A/x',
+  image: '//store.storeimages.cdn-apple.com/a.jpg',
+  eventType: 'new',
+  matchingRules: ['M2 Air']
+};
+
+test('ntfy 與 Gotify 的發送內容', async (t) => {
+  const { server, requests, baseUrl: serverUrl } = await startStubServer(() => ({ body: {} }));
+  t.after(() => server.close());
+
+  const provider = new SelfHostedPushNotificationProvider();
+  await provider.initialize({ allowedHosts: ['127.0.0.1'], timeout: 2000 });
+
+  await t.test('ntfy：優先等級、點擊網址與圖片附件', async () => {
+    const result = await provider.sendNotification(
+      { service: 'ntfy', serverUrl: `${serverUrl}/`, topic: 'apple-test', token: 'tk_abc' },
+      '🆕 1 個新品',
+      { products: [product], priority: 'high' }
+    );
+    assert.strictEqual(result.success, true);
+
+    const request = requests.at(-1);
+    assert.strictEqual(request.url, '/');
+    assert.strictEqual(request.headers.authorization, 'Bearer tk_abc');
+    assert.deepStrictEqual(request.body, {
+      topic: 'apple-test',
+      title: '🆕 新品',
+      message: 'MacBook Air 13 吋 M2\n💰 NT$29,900\n📋 M2 Air',
+      priority: 5,
+      tags: ['apple'],
+      click: product.url,
+      attach: 'https://store.storeimages.cdn-apple.com/a.jpg'
+    });
+  });
+
+  await t.test('Gotify：application token 與 extras', async () => {
+    const result = await provider.sendNotification(
+      { service: 'gotify', serverUrl, token: 'A1b2C3' },
+      '🆕 1 個新品',
+      { products: [product], priority: 'low' }
+    );
+    assert.strictEqual(result.success, true);
+
+    const request = requests.at(-1);
+    assert.strictEqual(request.url, '/message');
+    assert.strictEqual(request.headers['x-gotify-key'], 'A1b2C3');
+    assert.strictEqual(request.body.priority, 2);
+    assert.deepStrictEqual(request.body.extras, {
+      'client::notification': {
+        click: { url: product.url },
+        bigImageUrl: 'https://store.storeimages.cdn-apple.com/a.jpg'
+      }
+    });
+  });
+
+  await t.test('沒有產品時以第一行為標題', async () => {
+    await provider.sendNotification(
+      { service: 'ntfy', serverUrl, topic: 'apple-test' },
+      '📊 每日摘要\n\n昨日沒有新品'
+    );
+    const { body, headers } = requests.at(-1);
+    assert.strictEqual(body.title, '📊 每日摘要');
+    assert.strictEqual(body.message, '昨日沒有新品');
+    assert.strictEqual(body.priority, 3);
+    assert.strictEqual(body.click, undefined);
+    assert.strictEqual(headers.authorization, undefined);
+  });
+});
+
+test('區域網路的 http 伺服器需由管理員加入允許的主機', async () => {
+  const target = { service: 'ntfy', serverUrl: 'http://192.168.1.10:8080', topic: 'apple-test' };
+
+  const publicOnly = new SelfHostedPushNotificationProvider();
+  await publicOnly.initialize({});
+  assert.match(publicOnly.validateTarget(target), /SELF_HOSTED_PUSH_HOSTS/);
+  assert.strictEqual(publicOnly.validateTarget({ ...target, serverUrl: 'https://ntfy.sh' }), null);
+
+  const lan = new SelfHostedPushNotificationProvider();
+  await lan.initialize({ allowedHosts: ['192.168.1.10:8080'] });
+  assert.strictEqual(lan.validateTarget(target), null);
+  assert.match(lan.validateTarget({ ...target, serverUrl: 'https://ntfy.sh' }), /允許的主機/);
+});
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AppleTracker = require('../app');
+const RuleAlertPolicy = require('../services/RuleAlertPolicy');
+const TelegramNotificationProvider = require('../services/notifications/TelegramNotificationProvider');
+const { startStubServer } = require('./helpers/stubServer');
+
+const BOT_TOKEN = '123456:test-token';
+
+// Telegram Bot API 的路徑為 /bot<token>/<method>
+const parseCall = ({ url, body }) => {
+  const [, token, method] = url.match(/^\/bot([^/]+)\/(\w+)$/) || [];
+  return { token, method, params: body };
+};
+
+function respond(request) {
+  const { token, method, params } = parseCall(request);
+  if (token !== BOT_TOKEN) {
+    return { status: 401, body: { ok: false, description: 'Unauthorized' } };
+  }
+  if (method === 'sendMessage' && params.chat_id === 'blocked') {
+    return { body: { ok: false, description: 'Forbidden: bot was blocked by the user' } };
+  }
+  const result = method === 'getMe' ? { id: 123456, is_bot: true, username: 'apple_refurb_bot' } : true;
+  return { body: { ok: true, result } };
+}
+
+// 只實作連結流程與指令用到的 Firestore 方法
+function createFirebase() {
+  const users = new Map([
+    ['U-admin', { lineUserId: 'U-admin' }],
+    ['U-user', { lineUserId: 'U-user' }]
+  ]);
+  const linkCodes = new Map();
+
+  return {
+    initialized: true,
+    users,
+    linkCodes,
+    async saveTelegramLinkCode(code, lineUserId, expiresAt) {
+      linkCodes.set(code, { lineUserId, expiresAt });
+    },
+    async consumeTelegramLinkCode(code) {
+      const data = linkCodes.get(code);
+      if (!data) return null;
+      linkCodes.delete(code);
+      return new Date(data.expiresAt) > new Date() ? data.lineUserId : null;
+    },
+    async getUserByTelegramChatId(chatId) {
+      return [...users.values()].find((user) => user.telegramChatId === chatId) || null;
+    },
+    async updateUserTelegramChat(lineUserId, chatId) {
+      users.get(lineUserId).telegramChatId = chatId;
+    },
+    async getUserTrackingRules(lineUserId) {
+      return lineUserId === 'U-user' ? [{ id: 'r1', name: 'M2 Air', enabled: true, filters: {} }] : [];
+    },
+    async getSystemStats() {
+      return { activeRules: 3, totalUsers: 2, notificationsLast24h: 5 };
+    }
+  };
+}
+
+test('Telegram bot：發送訊息、連結帳號與指令', async (t) => {
+  const { server, requests, baseUrl: apiBaseUrl } = await startStubServer(respond);
+  t.after(() => server.close());
+
+  const provider = new TelegramNotificationProvider();
+  assert.strictEqual(await provider.initialize({ botToken: BOT_TOKEN, apiBaseUrl, timeout: 2000 }), true);
+  assert.strictEqual(provider.botUsername, 'apple_refurb_bot');
+
+  const tracker = Object.create(AppleTracker.prototype);
+  tracker.config = { adminUserIds: ['U-admin'] };
+  tracker.isTracking = true;
+  tracker.ruleAlertPolicy = new RuleAlertPolicy();
+  tracker.firebaseService = createFirebase();
+  tracker.notificationManager = { getProvider: () => provider };
+  tracker.stopTracking = async () => {
+    tracker.isTracking = false;
+  };
+
+  const send = async (chatId, text) => {
+    const before = requests.length;
+    await tracker.handleTelegramUpdate({ message: { chat: { id: chatId }, text } });
+    return requests.slice(before).map(parseCall).map(({ params }) => params.text).join('\n');
+  };
+
+  await t.test('sendMessage 分段發送過長的訊息', async () => {
+    const before = requests.length;
+    const longMessage = Array.from({ length: 600 }, (_, i) => `第 ${i} 行產品資訊`).join('\n');
+    const result = await provider.sendNotification('42', longMessage);
+    assert.strictEqual(result.success, true);
+
+    const sent = requests.slice(before).map(parseCall);
+    assert.ok(sent.length > 1);
+    assert.ok(sent.every(({ method, params }) => method === 'sendMessage' && params.chat_id === '42'));
+    assert.ok(sent.every(({ params }) => params.text.length <= 4096));
+    assert.strictEqual(sent.map(({ params }) => params.text).join('\n'), longMessage);
+  });
+
+  await t.test('Bot API 回應錯誤時發送失敗', async () => {
+    const result = await provider.sendNotification('blocked', '測試');
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /bot was blocked/);
+  });
+
+  await t.test('一次性代碼連結帳號，不能重複使用', async () => {
+    assert.match(await send(42, '/rules'), /請先在網頁/);
+
+    const { code, linkUrl } = await tracker.createTelegramLinkCode('U-user');
+    assert.strictEqual(linkUrl, `https://t.me/apple_refurb_bot?start=${code}`);
+
+    assert.match(await send(42, `/start ${code}`), /已連結帳號/);
+    assert.strictEqual(tracker.firebaseService.users.get('U-user').telegramChatId, '42');
+
+    assert.match(await send(43, `/link ${code}`), /無效或已過期/);
+    assert.strictEqual(tracker.firebaseService.users.get('U-user').telegramChatId, '42');
+  });
+
+  await t.test('過期的代碼無法連結', async () => {
+    const { code } = await tracker.createTelegramLinkCode('U-admin');
+    tracker.firebaseService.linkCodes.get(code).expiresAt = new Date(Date.now() - 1000).toISOString();
+
+    assert.match(await send(99, `/link ${code.toLowerCase()}`), /無效或已過期/);
+    assert.strictEqual(tracker.firebaseService.users.get('U-admin').telegramChatId, undefined);
+  });
+
+  await t.test('/rules 與 /status 使用連結帳號的資料', async () => {
+    assert.match(await send(42, '/rules@apple_refurb_bot'), /M2 Air/);
+
+    const status = await send(42, '/status');
+    assert.match(status, /追蹤狀態: 運行中/);
+    assert.match(status, /啟用規則: 3 個/);
+  });
+
+  await t.test('/stop 等管理員指令在 LINE 與 Telegram 都只開放給管理員', async () => {
+    assert.match(await send(42, '/stop'), /只有管理員/);
+    assert.match(await send(42, '/force-summary'), /只有管理員/);
+    assert.match(await tracker.handleCommand('U-user', '/stop'), /只有管理員/);
+    assert.strictEqual(tracker.isTracking, true);
+
+    const { code } = await tracker.createTelegramLinkCode('U-admin');
+    await send(7, `/link ${code}`);
+    assert.match(await send(7, '/stop'), /已停止追蹤/);
+    assert.strictEqual(tracker.isTracking, false);
+  });
+});
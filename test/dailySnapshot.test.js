@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AppleTracker = require('../app');
+const MarketAnalytics = require('../services/MarketAnalytics');
+const { getProductKey } = require('../services/productIdentity');
+
+const product = (id) => ({
+  name: `MacBook Air ${id}`,
+  url: `https://www.apple.com/tw/shop/product/${id}/refurbished`,
+  price: 'NT$30,000',
+  priceValue: 30000,
+  region: 'tw',
+  specs: { productType: 'MacBook Air', chip: 'M2', memory: '8GB', storage: '256GB' }
+});
+
+const createTracker = () => {
+  const tracker = Object.create(AppleTracker.prototype);
+  let saved = null;
+  tracker.firebaseService = {
+    initialized: true,
+    formatDateString: (date) => date.toISOString().split('T')[0],
+    getDailySnapshot: async () => saved,
+    saveDailySnapshot: async (date, products) => {
+      saved = { date: tracker.firebaseService.formatDateString(date), products };
+      return true;
+    },
+    cleanupOldSnapshots: async () => {}
+  };
+  tracker.marketAnalytics = { rollupSnapshots: async () => 0 };
+  return { tracker, getSaved: () => saved };
+};
+
+const findProduct = (snapshot, id) => snapshot.products.find((p) => p.url === product(id).url);
+
+test('當天稍早出現、之後賣完的產品保留在每日快照中', async () => {
+  const { tracker, getSaved } = createTracker();
+
+  await tracker.saveDailySnapshotIfNeeded([product('A'), product('B')]);
+  await tracker.saveDailySnapshotIfNeeded([product('B')], [getProductKey(product('A'))]);
+
+  const soldOut = findProduct(getSaved(), 'A');
+  assert.strictEqual(getSaved().products.length, 2);
+  assert.ok(soldOut.soldOutAt);
+  assert.ok(soldOut.seenAt && soldOut.lastSeenAt);
+  assert.strictEqual(findProduct(getSaved(), 'B').soldOutAt, undefined);
+
+  // 重新上架時開始新的上架區間，先前的區間移到 earlierListings
+  await tracker.saveDailySnapshotIfNeeded([product('A'), product('B')]);
+  const relisted = findProduct(getSaved(), 'A');
+  assert.strictEqual(relisted.soldOutAt, undefined);
+  assert.deepStrictEqual(relisted.earlierListings, [
+    { seenAt: soldOut.seenAt, lastSeenAt: soldOut.lastSeenAt, soldOutAt: soldOut.soldOutAt }
+  ]);
+});
+
+test('沒有判斷為下架的產品（分類未爬取或爬取異常）不標示賣完', async () => {
+  const { tracker, getSaved } = createTracker();
+
+  await tracker.saveDailySnapshotIfNeeded([product('A'), product('B')]);
+  await tracker.saveDailySnapshotIfNeeded([product('B')], []);
+
+  const missing = findProduct(getSaved(), 'A');
+  assert.ok(missing);
+  assert.strictEqual(missing.soldOutAt, undefined);
+});
+
+const rollup = (snapshots) => {
+  const analytics = new MarketAnalytics({});
+  const openListings = {};
+  const configurations = new Map();
+  snapshots.forEach((snapshot, index) => {
+    analytics.rollupSnapshot(snapshot, {
+      openListings,
+      configurations,
+      touched: new Set(),
+      isBaseline: index === 0
+    });
+  });
+  return { stats: [...configurations.values()][0], openListings };
+};
+
+test('當天賣完的產品計入市場統計的出現次數與在架時間', () => {
+  const listed = {
+    ...product('A'),
+    seenAt: '2026-01-02T02:00:00Z',
+    lastSeenAt: '2026-01-02T04:00:00Z',
+    soldOutAt: '2026-01-02T05:00:00Z'
+  };
+  const { stats, openListings } = rollup([
+    { date: '2026-01-01', products: [product('B')] },
+    { date: '2026-01-02', products: [product('B'), listed] }
+  ]);
+
+  assert.strictEqual(stats.appearances, 1);
+  assert.deepStrictEqual(stats.shelfHours, [3]);
+  // 只剩仍在架的 B
+  assert.strictEqual(Object.keys(openListings).length, 1);
+});
+
+test('當天賣完又重新上架時分成兩個上架區間', () => {
+  const relisted = {
+    ...product('A'),
+    seenAt: '2026-01-02T08:00:00Z',
+    lastSeenAt: '2026-01-02T10:00:00Z',
+    earlierListings: [
+      { seenAt: '2026-01-02T02:00:00Z', lastSeenAt: '2026-01-02T03:00:00Z', soldOutAt: '2026-01-02T04:00:00Z' }
+    ]
+  };
+  const { stats } = rollup([
+    { date: '2026-01-01', products: [product('B')] },
+    { date: '2026-01-02', products: [product('B'), relisted] },
+    { date: '2026-01-03', products: [product('B')] }
+  ]);
+
+  assert.strictEqual(stats.appearances, 2);
+  assert.deepStrictEqual(stats.shelfHours, [2, 2]);
+});
@@ -0,0 +1,33 @@
+const http = require('node:http');
+
+// 以本機 HTTP 伺服器代替外部服務（Discord、Telegram Bot API、ntfy / Gotify 等），
+// 記錄收到的請求；respond(request) 回傳 { status, body }，未指定時回應 200
+function startStubServer(respond = () => ({})) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => (raw += chunk));
+    req.on('end', () => {
+      const request = {
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        body: raw ? JSON.parse(raw) : {}
+      };
+      requests.push(request);
+
+      const { status = 200, body = '' } = respond(request, requests) || {};
+      const isJson = typeof body !== 'string';
+      res.writeHead(status, isJson ? { 'Content-Type': 'application/json' } : {});
+      res.end(isJson ? JSON.stringify(body) : body);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, requests, baseUrl: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+module.exports = { startStubServer };
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AppleTracker = require('../app');
+
+const parseSpecs = (name, description, category) =>
+  AppleTracker.prototype.parseSpecs.call(Object.create(AppleTracker.prototype), name, description, category);
+
+test('iPad 名稱中唯一的容量解析為儲存空間', () => {
+  const specs = parseSpecs('整修品 iPad Pro 11 吋 Wi‑Fi 256GB - 太空黑色', '', 'iPad');
+  assert.strictEqual(specs.productType, 'iPad Pro');
+  assert.strictEqual(specs.storage, '256GB');
+  assert.strictEqual(specs.memory, null);
+
+  const large = parseSpecs('整修品 iPad Air 13 吋 Wi‑Fi + 行動網路 1TB - 星光色', '', 'iPad');
+  assert.strictEqual(large.storage, '1TB');
+  assert.strictEqual(large.memory, null);
+});
+
+test('iPhone 名稱中唯一的容量解析為儲存空間', () => {
+  const specs = parseSpecs('整修品 iPhone 15 Pro 128GB - 原色鈦金屬', '', 'iPhone');
+  assert.strictEqual(specs.storage, '128GB');
+  assert.strictEqual(specs.memory, null);
+});
+
+test('Mac 的統一記憶體與儲存空間分別解析', () => {
+  const specs = parseSpecs(
+    '整修品 13 吋 MacBook Air Apple M2 晶片，配備 8 核心 CPU 與 8 核心 GPU - 午夜色',
+    '16GB 統一記憶體 512GB SSD 儲存裝置',
+    'Mac'
+  );
+  assert.strictEqual(specs.productType, 'MacBook Air');
+  assert.strictEqual(specs.chip, 'M2');
+  assert.strictEqual(specs.memory, '16GB');
+  assert.strictEqual(specs.storage, '512GB');
+});
+
+test('Mac 沒有標示用途的容量仍視為統一記憶體', () => {
+  const specs = parseSpecs('整修品 Mac mini Apple M2 晶片 16GB', '', 'Mac');
+  assert.strictEqual(specs.memory, '16GB');
+  assert.strictEqual(specs.storage, null);
+});